@@ -71,6 +71,14 @@ const webpackConfig = {
       return webpackConfig;
     },
   },
+  jest: {
+    configure: {
+      // Same alias as webpack, so modules importing '@/...' resolve under test
+      moduleNameMapper: {
+        '^@/(.*)$': '<rootDir>/src/$1',
+      },
+    },
+  },
 };
 
 // Only add babel plugin if visual editing is enabled
@@ -0,0 +1,42 @@
+// chat.mjs
+// Per-room chat history
+
+const MAX_HISTORY = 100; // Messages replayed to (re)connecting clients
+const MAX_LENGTH = 500; // Characters per message
+
+/**
+ * Creates a room chat log
+ *
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ */
+export function createChat({ now = Date.now } = {}) {
+  let history = [];
+  let nextId = 1;
+
+  /**
+   * Validates and records a message
+   * @returns {{message?: Object, error?: string}}
+   */
+  function post(sender, payload = {}) {
+    const text = typeof payload.text === 'string' ? payload.text.trim().slice(0, MAX_LENGTH) : '';
+    if (!text) {
+      return { error: 'Message is empty' };
+    }
+
+    const message = {
+      id: `m${nextId++}`,
+      senderId: sender.id,
+      name: sender.name,
+      text,
+      sentAt: now()
+    };
+    history = [...history, message].slice(-MAX_HISTORY);
+    return { message };
+  }
+
+  return {
+    post,
+    history: () => [...history]
+  };
+}
@@ -0,0 +1,73 @@
+// comments.mjs
+// Per-room timestamped comments, kept per video
+
+import { MAX_COMMENT_LENGTH } from '../src/lib/protocol.mjs';
+
+const MAX_PER_VIDEO = 500;
+
+/**
+ * Creates a room's comment store
+ *
+ * Unlike chat, comments outlive the video being on screen: switching back
+ * to a video brings its comments back.
+ *
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ */
+export function createComments({ now = Date.now } = {}) {
+  const byVideo = new Map(); // videoId → comments, sorted by time
+  let nextId = 1;
+
+  /**
+   * Comments on one video, by time
+   */
+  function list(videoId) {
+    return [...(byVideo.get(videoId) || [])];
+  }
+
+  /**
+   * Validates and records a comment
+   * @returns {string|null} Error message
+   */
+  function add(author, payload) {
+    const text = payload.text.trim().slice(0, MAX_COMMENT_LENGTH);
+    if (!text) {
+      return 'Comment is empty';
+    }
+    const comments = list(payload.videoId);
+    if (comments.length >= MAX_PER_VIDEO) {
+      return 'This video has too many comments';
+    }
+
+    const comment = {
+      id: `c${nextId++}`,
+      videoId: payload.videoId,
+      authorId: author.id,
+      name: author.name,
+      time: payload.time,
+      text,
+      createdAt: now()
+    };
+    byVideo.set(payload.videoId, [...comments, comment].sort((a, b) => a.time - b.time));
+    return null;
+  }
+
+  /**
+   * Deletes a comment; only its author or a moderator may
+   * @returns {string|null} Error message
+   */
+  function remove(requester, payload, canModerate) {
+    const comments = list(payload.videoId);
+    const comment = comments.find(({ id }) => id === payload.commentId);
+    if (!comment) {
+      return 'Comment not found';
+    }
+    if (comment.authorId !== requester.id && !canModerate) {
+      return 'Only the author, the host or a moderator can delete a comment';
+    }
+    byVideo.set(payload.videoId, comments.filter(({ id }) => id !== payload.commentId));
+    return null;
+  }
+
+  return { list, add, remove };
+}
@@ -0,0 +1,115 @@
+// hold.mjs
+// "Wait for buffering viewers": pauses the group while someone stalls
+
+const HOLD_DELAY = 1000; // ms a viewer must stay stalled before the group waits (seeks cause short stalls)
+const MAX_HOLD = 10000; // ms the group waits before carrying on without them
+
+/**
+ * Tracks buffering reports for one room and holds its session while a
+ * viewer is stalled
+ *
+ * The hold pauses everyone except the stalled viewers (their clients see
+ * their own ID in `holdingFor` and keep buffering). When the last of them
+ * reports buffering:end, playback resumes from their position. A viewer is
+ * only waited for once per stall, and never for longer than MAX_HOLD.
+ *
+ * @param {Object} options
+ * @param {Object} options.session - From createSession
+ * @param {() => boolean} options.isEnabled - Room's holdForBuffering setting
+ * @param {() => void} options.onChange - Called after the session changed
+ * @param {Object} [options.timers] - Injectable setTimeout/clearTimeout (for tests)
+ */
+export function createBufferingHold({
+  session,
+  isEnabled,
+  onChange,
+  delay = HOLD_DELAY,
+  maxHold = MAX_HOLD,
+  timers = { setTimeout, clearTimeout }
+}) {
+  const stalls = new Map(); // clientId → { timer, position }
+  let maxHoldTimer = null;
+
+  const holdingFor = () => session.snapshot().holdingFor;
+
+  function stopMaxHold() {
+    timers.clearTimeout(maxHoldTimer);
+    maxHoldTimer = null;
+  }
+
+  function holdFor(clientId) {
+    const stall = stalls.get(clientId);
+    stall.timer = null;
+
+    const { isPlaying } = session.snapshot();
+    const current = holdingFor();
+    if (!isEnabled() || (!isPlaying && !current.length)) {
+      return;
+    }
+
+    session.hold([...current, clientId], stall.position);
+    if (!maxHoldTimer) {
+      maxHoldTimer = timers.setTimeout(cancel, maxHold);
+    }
+    onChange();
+  }
+
+  /**
+   * buffering:start from a viewer
+   * @param {number} [position] - Where they stalled (s)
+   */
+  function start(clientId, position) {
+    if (stalls.has(clientId)) {
+      return;
+    }
+    stalls.set(clientId, {
+      timer: timers.setTimeout(() => holdFor(clientId), delay),
+      position
+    });
+  }
+
+  /**
+   * buffering:end from a viewer (or they left)
+   * @param {number} [position] - Where they are now (s); playback resumes here
+   */
+  function end(clientId, position) {
+    const stall = stalls.get(clientId);
+    if (!stall) {
+      return;
+    }
+    timers.clearTimeout(stall.timer);
+    stalls.delete(clientId);
+
+    const current = holdingFor();
+    if (!current.includes(clientId)) {
+      return;
+    }
+    const rest = current.filter((id) => id !== clientId);
+    if (rest.length) {
+      session.hold(rest);
+    } else {
+      stopMaxHold();
+      session.release(position);
+    }
+    onChange();
+  }
+
+  /**
+   * Ends any hold now (e.g. the setting was turned off)
+   */
+  function cancel() {
+    stopMaxHold();
+    if (holdingFor().length) {
+      session.release();
+      onChange();
+    }
+  }
+
+  function dispose() {
+    stopMaxHold();
+    stalls.forEach(({ timer }) => timers.clearTimeout(timer));
+    stalls.clear();
+  }
+
+  return { start, end, cancel, dispose };
+}
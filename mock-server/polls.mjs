@@ -0,0 +1,181 @@
+// polls.mjs
+// Per-room polls, including votes to skip the current video
+
+const MAX_OPEN = 3; // Open polls per room
+const MAX_CLOSED = 5; // Closed polls kept so everyone can see how they ended
+const SKIP_OPTIONS = ['Skip it', 'Keep watching'];
+
+/**
+ * Runs a room's polls
+ *
+ * Everyone votes once per poll. A skip poll is about one video: as soon as
+ * its "skip" votes reach `skipThreshold` of the connected viewers, the
+ * session skips (next in the queue, or no video) and the poll closes. The
+ * number needed is worked out again whenever someone leaves, so a poll can
+ * pass because the room got smaller.
+ *
+ * @param {Object} options
+ * @param {Object} options.session - From createSession
+ * @param {() => string[]} options.connectedIds - Client IDs currently in the room
+ * @param {() => number} options.skipThreshold - Room setting, 0-1
+ * @param {() => void} options.onChange - Called after the polls changed (broadcast poll:list)
+ * @param {() => void} options.onSessionChange - Called after a skip
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ */
+export function createPolls({ session, connectedIds, skipThreshold, onChange, onSessionChange, now = Date.now }) {
+  let open = [];
+  let closed = [];
+  let nextId = 1;
+
+  const neededToSkip = () => Math.max(1, Math.ceil(skipThreshold() * connectedIds().length));
+
+  /**
+   * Open polls then recently closed ones, as a poll:list payload
+   */
+  function list() {
+    return [
+      ...open.map((poll) => ({ ...poll, needed: poll.kind === 'skip' ? neededToSkip() : null })),
+      ...closed
+    ];
+  }
+
+  function close(poll, outcome) {
+    open = open.filter(({ id }) => id !== poll.id);
+    closed = [{ ...poll, needed: null, closedAt: now(), outcome }, ...closed].slice(0, MAX_CLOSED);
+  }
+
+  // Skips the video if a skip poll has enough votes
+  function checkSkip(poll) {
+    if (poll.kind !== 'skip' || poll.options[0].votes < neededToSkip()) {
+      return;
+    }
+    close(poll, 'Skipped');
+    session.skip();
+    onSessionChange();
+  }
+
+  function add(creator, fields) {
+    if (open.length >= MAX_OPEN) {
+      return `Only ${MAX_OPEN} polls can be open at once`;
+    }
+    const poll = {
+      id: `p${nextId++}`,
+      createdBy: creator.id,
+      creatorName: creator.name,
+      createdAt: now(),
+      voters: [],
+      videoId: null,
+      needed: null,
+      closedAt: null,
+      outcome: null,
+      ...fields
+    };
+    open = [...open, poll];
+    onChange();
+    return null;
+  }
+
+  /**
+   * @returns {string|null} Error message
+   */
+  function create(creator, payload) {
+    const question = payload.question.trim();
+    const options = payload.options.map((text) => text.trim());
+    if (!question || options.some((text) => !text)) {
+      return 'Polls need a question and non-empty options';
+    }
+    return add(creator, { kind: 'question', question, options: options.map((text) => ({ text, votes: 0 })) });
+  }
+
+  /**
+   * Starts a vote to skip the current video
+   * @returns {string|null} Error message
+   */
+  function startSkip(creator) {
+    const { videoId } = session.snapshot();
+    if (!videoId) {
+      return 'Nothing is playing';
+    }
+    if (open.some((poll) => poll.kind === 'skip')) {
+      return 'There is already a vote to skip';
+    }
+    return add(creator, {
+      kind: 'skip',
+      question: 'Skip this video?',
+      options: SKIP_OPTIONS.map((text) => ({ text, votes: 0 })),
+      videoId
+    });
+  }
+
+  /**
+   * @returns {string|null} Error message
+   */
+  function vote(clientId, { pollId, optionIndex }) {
+    const poll = open.find(({ id }) => id === pollId);
+    if (!poll) {
+      return 'That poll has closed';
+    }
+    if (poll.voters.includes(clientId)) {
+      return 'You already voted';
+    }
+    if (!poll.options[optionIndex]) {
+      return 'No such option';
+    }
+
+    const voted = {
+      ...poll,
+      voters: [...poll.voters, clientId],
+      options: poll.options.map((option, index) => (index === optionIndex ? { ...option, votes: option.votes + 1 } : option))
+    };
+    open = open.map((existing) => (existing.id === pollId ? voted : existing));
+    checkSkip(voted);
+    onChange();
+    return null;
+  }
+
+  /**
+   * Closes a poll; only its creator or a moderator may. Anyone can start a
+   * vote to skip, so ending one early is for moderators only.
+   * @returns {string|null} Error message
+   */
+  function closePoll(clientId, pollId, canModerate) {
+    const poll = open.find(({ id }) => id === pollId);
+    if (!poll) {
+      return 'That poll has already closed';
+    }
+    if (poll.kind === 'skip' && !canModerate) {
+      return 'Only the host or a moderator can end a vote to skip early';
+    }
+    if (poll.createdBy !== clientId && !canModerate) {
+      return 'Only the creator, the host or a moderator can close a poll';
+    }
+    close(poll, 'Closed');
+    onChange();
+    return null;
+  }
+
+  /**
+   * The video changed: skip polls about the old one are moot
+   */
+  function videoChanged() {
+    const { videoId } = session.snapshot();
+    const stale = open.filter((poll) => poll.kind === 'skip' && poll.videoId !== videoId);
+    stale.forEach((poll) => close(poll, 'The video changed'));
+    if (stale.length) {
+      onChange();
+    }
+  }
+
+  /**
+   * Someone left or the threshold changed: fewer votes may now be enough
+   */
+  function recount() {
+    const skipPoll = open.find((poll) => poll.kind === 'skip');
+    if (skipPoll) {
+      checkSkip(skipPoll);
+      onChange(); // Closed, or at least `needed` changed
+    }
+  }
+
+  return { list, create, startSkip, vote, close: closePoll, videoChanged, recount };
+}
@@ -0,0 +1,173 @@
+// presence.mjs
+// Per-room participant list: names, roles, connection state and playback status
+
+import { ROLES } from './roles.mjs';
+
+const MAX_NAME_LENGTH = 32;
+const STATUSES = new Set(['idle', 'playing', 'paused', 'buffering', 'awaiting-sync']);
+
+/**
+ * Same rules as the client's displayNameSchema: trimmed, collapsed, 1-32 chars
+ * @returns {string|null}
+ */
+export function normalizeName(name) {
+  const normalized = String(name || '').trim().replace(/\s+/g, ' ');
+  return normalized && normalized.length <= MAX_NAME_LENGTH ? normalized : null;
+}
+
+/**
+ * Creates a room's participant list
+ *
+ * Participants are keyed by the client's stable clientId rather than the
+ * socket ID, so a reconnect updates the existing entry instead of adding a
+ * second one. The clientId is public (it's every participant's `id`), so a
+ * reconnect only takes over an entry, and its role, if it also presents the
+ * secret the entry was created with. Disconnected participants stay listed (as 'disconnected')
+ * until the server removes them after a grace period.
+ *
+ * The first participant in a room is its host. Roles survive reconnects;
+ * when the host is removed, the longest-present moderator (or, failing
+ * that, the longest-present participant) takes over.
+ *
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ */
+export function createPresence({ now = Date.now } = {}) {
+  const participants = new Map(); // clientId → participant
+
+  const hasHost = () => [...participants.values()].some((participant) => participant.role === 'host');
+
+  /**
+   * @returns {Object|null} The participant, or null if `secret` doesn't match
+   *   the one `clientId` joined with
+   */
+  function join({ clientId, secret, socketId, name }) {
+    const existing = participants.get(clientId);
+    if (existing && existing.secret !== secret) {
+      return null;
+    }
+    const participant = {
+      id: clientId,
+      socketId,
+      secret,
+      name: normalizeName(name) || `Guest ${clientId.slice(-4)}`,
+      connection: 'connected',
+      role: existing ? existing.role : (hasHost() ? 'viewer' : 'host'),
+      status: existing ? existing.status : 'idle',
+      joinedAt: existing ? existing.joinedAt : now()
+    };
+    participants.set(clientId, participant);
+    return participant;
+  }
+
+  /**
+   * Marks a participant disconnected. Ignored if they've already reconnected
+   * on a newer socket.
+   * @returns {boolean} true if anything changed
+   */
+  function disconnect(clientId, socketId) {
+    const participant = participants.get(clientId);
+    if (!participant || participant.socketId !== socketId) {
+      return false;
+    }
+    participants.set(clientId, { ...participant, connection: 'disconnected' });
+    return true;
+  }
+
+  /**
+   * Removes a participant if they're still disconnected
+   * @returns {boolean} true if anything changed
+   */
+  function removeIfDisconnected(clientId) {
+    if (participants.get(clientId)?.connection !== 'disconnected') {
+      return false;
+    }
+    participants.delete(clientId);
+    if (!hasHost()) {
+      promoteSuccessor();
+    }
+    return true;
+  }
+
+  /**
+   * Hands host to whoever has been here longest, preferring connected
+   * moderators, then anyone connected
+   */
+  function promoteSuccessor() {
+    const byJoinedAt = [...participants.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+    const connected = byJoinedAt.filter((participant) => participant.connection === 'connected');
+    const successor = connected.find((participant) => participant.role === 'moderator')
+      || connected[0]
+      || byJoinedAt[0];
+    if (successor) {
+      participants.set(successor.id, { ...successor, role: 'host' });
+    }
+  }
+
+  /**
+   * Promotes or demotes a participant. Host is only ever handed over with
+   * transferHost, so there's always exactly one.
+   * @returns {string|null} Error message, or null on success
+   */
+  function setRole(actorId, targetId, role) {
+    if (participants.get(actorId)?.role !== 'host') {
+      return 'Only the host can change roles';
+    }
+    const target = participants.get(targetId);
+    if (!target) {
+      return 'Participant not found';
+    }
+    if (!ROLES.includes(role) || role === 'host') {
+      return 'Role must be moderator or viewer';
+    }
+    if (target.role === 'host') {
+      return 'Transfer host to someone else first';
+    }
+    participants.set(targetId, { ...target, role });
+    return null;
+  }
+
+  /**
+   * Makes targetId the host; the previous host stays on as a moderator
+   * @returns {string|null} Error message, or null on success
+   */
+  function transferHost(actorId, targetId) {
+    const actor = participants.get(actorId);
+    if (actor?.role !== 'host') {
+      return 'Only the host can transfer host';
+    }
+    const target = participants.get(targetId);
+    if (!target || target.connection !== 'connected') {
+      return 'Participant is not connected';
+    }
+    if (target.id === actor.id) {
+      return null;
+    }
+    participants.set(actorId, { ...actor, role: 'moderator' });
+    participants.set(targetId, { ...target, role: 'host' });
+    return null;
+  }
+
+  /**
+   * @returns {boolean} true if anything changed
+   */
+  function setStatus(clientId, status) {
+    const participant = participants.get(clientId);
+    if (!participant || !STATUSES.has(status) || participant.status === status) {
+      return false;
+    }
+    participants.set(clientId, { ...participant, status });
+    return true;
+  }
+
+  return {
+    join,
+    disconnect,
+    removeIfDisconnected,
+    setStatus,
+    setRole,
+    transferHost,
+    get: (clientId) => participants.get(clientId),
+    list: () => [...participants.values()].map(({ socketId, secret, ...participant }) => participant)
+  };
+}
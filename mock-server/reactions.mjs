@@ -0,0 +1,51 @@
+// reactions.mjs
+// Per-room emoji reactions, rate-limited per sender
+
+import { REACTION_RATE_LIMIT } from '../src/lib/protocol.mjs';
+
+/**
+ * Creates a room's reaction relay
+ *
+ * Reactions aren't stored: they're stamped and broadcast, and only the
+ * recent send times are kept to enforce REACTION_RATE_LIMIT.
+ *
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ */
+export function createReactions({ now = Date.now } = {}) {
+  const recent = new Map(); // senderId → send times inside the window
+  let nextId = 1;
+
+  /**
+   * Stamps a reaction unless the sender is over the limit
+   * @returns {{reaction?: Object, error?: string}}
+   */
+  function send(sender, payload) {
+    const sentAt = now();
+    const times = (recent.get(sender.id) || []).filter((time) => sentAt - time < REACTION_RATE_LIMIT.windowMs);
+    if (times.length >= REACTION_RATE_LIMIT.count) {
+      recent.set(sender.id, times);
+      return { error: 'Slow down - too many reactions' };
+    }
+    recent.set(sender.id, [...times, sentAt]);
+
+    return {
+      reaction: {
+        id: `r${nextId++}`,
+        senderId: sender.id,
+        name: sender.name,
+        reaction: payload.reaction,
+        sentAt
+      }
+    };
+  }
+
+  /**
+   * Forgets a sender's history (when they leave the room)
+   */
+  function forget(senderId) {
+    recent.delete(senderId);
+  }
+
+  return { send, forget };
+}
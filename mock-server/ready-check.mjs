@@ -0,0 +1,135 @@
+// ready-check.mjs
+// "Everyone ready?": a host-started check, then a synced countdown to play
+
+import { randomUUID } from 'crypto';
+import { READY_COUNTDOWN } from '../src/lib/protocol.mjs';
+
+const IDLE = { checkId: null, startedBy: null, confirmed: [], startsAt: null };
+
+/**
+ * Runs ready checks for one room
+ *
+ * The host starts a check (and counts as ready). Once every connected
+ * participant has confirmed, or the host overrides, the countdown begins:
+ * the group is paused where it is and `startsAt` is set READY_COUNTDOWN ms
+ * ahead on the server clock. Clients count down to that moment with their
+ * clock-sync estimate, and at `startsAt` the session starts playing from
+ * the paused position, so everyone's drift correction aims at the same
+ * frame.
+ *
+ * @param {Object} options
+ * @param {Object} options.session - From createSession
+ * @param {() => string[]} options.connectedIds - Client IDs currently in the room
+ * @param {() => void} options.onChange - Called after the check changed (broadcast ready:state)
+ * @param {() => void} options.onSessionChange - Called after the session changed
+ * @param {number} [options.countdown] - ms
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ * @param {Object} [options.timers] - Injectable setTimeout/clearTimeout (for tests)
+ */
+export function createReadyCheck({
+  session,
+  connectedIds,
+  onChange,
+  onSessionChange,
+  countdown = READY_COUNTDOWN,
+  now = Date.now,
+  timers = { setTimeout, clearTimeout }
+}) {
+  let check = IDLE;
+  let countdownTimer = null;
+
+  function set(patch) {
+    check = { ...check, ...patch };
+    onChange();
+  }
+
+  function beginCountdown() {
+    const { isPlaying } = session.snapshot();
+    if (isPlaying) {
+      session.apply('pause', { currentTime: session.position() });
+      onSessionChange();
+    }
+    set({ startsAt: now() + countdown });
+
+    countdownTimer = timers.setTimeout(() => {
+      countdownTimer = null;
+      if (session.snapshot().videoId) {
+        session.apply('play', { currentTime: session.position() });
+        onSessionChange();
+      }
+      set(IDLE);
+    }, countdown);
+  }
+
+  // Starts the countdown if nobody connected is still unconfirmed
+  function checkEveryoneReady() {
+    if (check.checkId && check.startsAt === null
+      && connectedIds().every((id) => check.confirmed.includes(id))) {
+      beginCountdown();
+    }
+  }
+
+  /**
+   * @returns {string|null} Error message
+   */
+  function start(hostId) {
+    if (!session.snapshot().videoId) {
+      return 'Load a video before starting a ready check';
+    }
+    if (check.startsAt !== null) {
+      return 'The countdown has already started';
+    }
+    set({ checkId: randomUUID(), startedBy: hostId, confirmed: [hostId], startsAt: null });
+    checkEveryoneReady();
+    return null;
+  }
+
+  /**
+   * ready:confirm from a participant (ignored for an old check)
+   */
+  function confirm(clientId, checkId) {
+    if (checkId !== check.checkId || check.startsAt !== null || check.confirmed.includes(clientId)) {
+      return;
+    }
+    set({ confirmed: [...check.confirmed, clientId] });
+    checkEveryoneReady();
+  }
+
+  /**
+   * Host: start the countdown without waiting for everyone
+   * @returns {string|null} Error message
+   */
+  function override() {
+    if (!check.checkId) {
+      return 'No ready check is running';
+    }
+    if (check.startsAt === null) {
+      beginCountdown();
+    }
+    return null;
+  }
+
+  /**
+   * Ends the check (and any countdown) without starting playback
+   */
+  function cancel() {
+    timers.clearTimeout(countdownTimer);
+    countdownTimer = null;
+    if (check.checkId) {
+      set(IDLE);
+    }
+  }
+
+  /**
+   * Someone left: they may have been the last one we were waiting for
+   */
+  function participantsChanged() {
+    checkEveryoneReady();
+  }
+
+  function dispose() {
+    timers.clearTimeout(countdownTimer);
+  }
+
+  return { state: () => ({ ...check }), start, confirm, override, cancel, participantsChanged, dispose };
+}
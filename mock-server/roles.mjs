@@ -0,0 +1,43 @@
+// roles.mjs
+// Room roles, room settings and who may do what
+
+export const ROLES = ['host', 'moderator', 'viewer'];
+
+export const DEFAULT_SETTINGS = {
+  hostOnlyControl: false, // Only the host and moderators may change playback, the video or the queue
+  holdForBuffering: false, // Pause the group while someone buffers (see hold.mjs)
+  skipThreshold: 0.5 // Share of connected viewers a vote to skip needs (see polls.mjs)
+};
+
+// Events that change what everyone is watching
+export const CONTROL_EVENTS = new Set([
+  'change-video', 'play', 'pause', 'seek', 'set-rate',
+  'queue:add', 'queue:remove', 'queue:move', 'queue:advance'
+]);
+
+/**
+ * Same rules as the client's canControlPlayback (src/lib/roles.js)
+ */
+export function canControlPlayback(role, settings) {
+  return !settings.hostOnlyControl || role === 'host' || role === 'moderator';
+}
+
+/**
+ * Validates a room:update-settings payload against the current settings
+ * @returns {{settings?: Object, error?: string}}
+ */
+export function updateSettings(current, payload = {}) {
+  const next = { ...current };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (!(key in payload)) continue;
+    if (key === 'skipThreshold') {
+      if (!(payload[key] > 0 && payload[key] <= 1)) {
+        return { error: 'skipThreshold must be more than 0 and at most 1' };
+      }
+    } else if (typeof payload[key] !== 'boolean') {
+      return { error: `${key} must be true or false` };
+    }
+    next[key] = payload[key];
+  }
+  return { settings: next };
+}
@@ -0,0 +1,458 @@
+// server.mjs
+// Local stand-in for the watch-party backend, for offline development and
+// integration tests. Implements the same Socket.io protocol the client uses,
+// validated against the shared schemas in src/lib/protocol.mjs.
+//
+//   npm run mock-server                  # listens on :8001
+//   MOCK_SERVER_PORT=9000 npm run mock-server
+//
+// Point the client at it with REACT_APP_BACKEND_URL=http://localhost:8001
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+import { Server } from 'socket.io';
+import { createSession } from './session.mjs';
+import { createChat } from './chat.mjs';
+import { createReactions } from './reactions.mjs';
+import { createComments } from './comments.mjs';
+import { createPresence } from './presence.mjs';
+import { createBufferingHold } from './hold.mjs';
+import { createReadyCheck } from './ready-check.mjs';
+import { createPolls } from './polls.mjs';
+import { CONTROL_EVENTS, DEFAULT_SETTINGS, canControlPlayback, updateSettings } from './roles.mjs';
+import {
+  CAPABILITIES,
+  CLIENT_EVENTS,
+  MIN_PEER_VERSION,
+  PROTOCOL_VERSION,
+  checkCompatibility,
+  parseEvent
+} from '../src/lib/protocol.mjs';
+
+const DEFAULT_PORT = 8001;
+const SOCKET_PATH = '/api/socket.io';
+const SESSION_EVENTS = [
+  'change-video', 'play', 'pause', 'seek', 'set-rate',
+  'queue:add', 'queue:remove', 'queue:move', 'queue:advance'
+];
+const DEFAULT_ROOM = 'global'; // Clients that don't send a room ID share this one
+const ROOM_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+const DISCONNECT_GRACE = 30000; // ms a disconnected participant stays listed
+
+const log = (...args) => console.log('[Mock Server]', ...args);
+
+/**
+ * Starts the mock server
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {boolean} [options.quiet] - Suppress logging (for tests)
+ * @param {number} [options.disconnectGrace] - ms a disconnected participant
+ *   stays listed, and an empty room is kept (shorter in tests)
+ * @returns {Promise<{port: number, io: Server, close: () => Promise<void>}>}
+ */
+export function startMockServer({ port = DEFAULT_PORT, quiet = false, disconnectGrace = DISCONNECT_GRACE } = {}) {
+  const say = quiet ? () => {} : log;
+  const rooms = new Map(); // roomId → { session, chat, reactions, comments, presence, settings, hold, readyCheck, polls }
+  const graceTimers = new Set();
+
+  const getRoom = (roomId) => {
+    if (!rooms.has(roomId)) {
+      const room = {
+        session: createSession(),
+        chat: createChat(),
+        reactions: createReactions(),
+        comments: createComments(),
+        presence: createPresence(),
+        settings: { ...DEFAULT_SETTINGS }
+      };
+      room.hold = createBufferingHold({
+        session: room.session,
+        isEnabled: () => room.settings.holdForBuffering,
+        onChange: () => io.to(roomId).emit('session:state', room.session.snapshot())
+      });
+      const connectedIds = () => room.presence.list()
+        .filter((participant) => participant.connection === 'connected')
+        .map((participant) => participant.id);
+      room.readyCheck = createReadyCheck({
+        session: room.session,
+        connectedIds,
+        onChange: () => io.to(roomId).emit('ready:state', room.readyCheck.state()),
+        onSessionChange: () => io.to(roomId).emit('session:state', room.session.snapshot())
+      });
+      room.polls = createPolls({
+        session: room.session,
+        connectedIds,
+        skipThreshold: () => room.settings.skipThreshold,
+        onChange: () => io.to(roomId).emit('poll:list', room.polls.list()),
+        onSessionChange: () => {
+          io.to(roomId).emit('session:state', room.session.snapshot());
+          room.readyCheck.cancel();
+        }
+      });
+      rooms.set(roomId, room);
+    }
+    return rooms.get(roomId);
+  };
+
+  /**
+   * Forgets a room once nobody is connected or still within their grace
+   * period, so rooms don't pile up for the life of the process (a lone
+   * viewer reloading the page keeps the room)
+   */
+  const pruneRoomIfEmpty = (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room || io.sockets.adapter.rooms.get(roomId)?.size || room.presence.list().length) {
+      return;
+    }
+    room.hold.dispose();
+    room.readyCheck.dispose();
+    rooms.delete(roomId);
+    say(`Room ${roomId} is empty, removed it`);
+  };
+
+  const broadcastPresence = (roomId) => {
+    io.to(roomId).emit('presence:list', getRoom(roomId).presence.list());
+  };
+
+  const httpServer = createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  const io = new Server(httpServer, {
+    path: SOCKET_PATH,
+    cors: { origin: '*' }
+  });
+
+  const broadcastUserCount = (roomId) => {
+    io.to(roomId).emit('user-count', io.sockets.adapter.rooms.get(roomId)?.size || 0);
+  };
+
+  // Joins the room's participant list before the connection is accepted.
+  // A refusal here reaches the client as a connect_error it won't retry,
+  // rather than a disconnect it would reconnect from straight away.
+  io.use((socket, next) => {
+    const requestedRoom = String(socket.handshake.query.roomId || '').toLowerCase();
+    const roomId = ROOM_ID_PATTERN.test(requestedRoom) ? requestedRoom : DEFAULT_ROOM;
+    // clientId is public (presence:list), clientSecret proves it's ours.
+    // Clients without both get a one-off identity.
+    const { clientId: requestedClientId, clientSecret, name } = socket.handshake.query;
+    const hasIdentity = typeof requestedClientId === 'string' && requestedClientId
+      && typeof clientSecret === 'string' && clientSecret;
+    const clientId = hasIdentity ? requestedClientId : socket.id;
+    const participant = getRoom(roomId).presence.join({
+      clientId,
+      secret: hasIdentity ? clientSecret : randomUUID(),
+      socketId: socket.id,
+      name
+    });
+    if (!participant) {
+      say(`Refused ${socket.id}: wrong secret for client ${clientId}`);
+      next(new Error('This participant ID belongs to someone else'));
+      return;
+    }
+    socket.data = { roomId, clientId, participant };
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    const { roomId, clientId, participant } = socket.data;
+    const room = getRoom(roomId);
+    const { session, chat, presence } = room;
+
+    socket.join(roomId);
+    say(`Client connected: ${socket.id} as "${participant.name}" (room ${roomId})`);
+    broadcastUserCount(roomId);
+    broadcastPresence(roomId);
+    socket.emit('session:state', session.snapshot());
+    socket.emit('chat:history', chat.history());
+    socket.emit('room:settings', room.settings);
+    socket.emit('ready:state', room.readyCheck.state());
+    socket.emit('poll:list', room.polls.list());
+
+    // Rejections carry the action's ID so the client can roll back
+    const reject = (event, message, payload) => {
+      say(`Rejected ${event} from ${socket.id}: ${message}`);
+      const actionId = typeof payload?.actionId === 'string' ? payload.actionId : undefined;
+      socket.emit('session:error', { event, message, actionId });
+    };
+
+    // Handlers only ever see payloads that match src/lib/protocol.mjs, and
+    // can rely on presence.get(clientId): another tab with our clientId may
+    // have left and had the entry removed while this socket stayed connected
+    const handle = (event, handler) => {
+      socket.on(event, (payload, ack) => {
+        if (!presence.get(clientId)) {
+          reject(event, 'You are no longer in this room, reload to rejoin', payload);
+          return;
+        }
+        const { data, error } = parseEvent(CLIENT_EVENTS, event, payload);
+        if (error) {
+          reject(event, `Invalid ${event} payload (${error})`, payload);
+          return;
+        }
+        handler(data, ack);
+      });
+    };
+
+    // Version handshake (see src/lib/protocol-handshake.js). The client
+    // decides what to do about a mismatch; we only log it.
+    handle('protocol:hello', (payload, ack) => {
+      const local = { version: PROTOCOL_VERSION, minVersion: MIN_PEER_VERSION };
+      const { compatible, reason } = checkCompatibility(local, payload);
+      if (!compatible) {
+        say(`Incompatible client ${socket.id}: ${reason}`);
+      }
+      if (typeof ack === 'function') {
+        ack({ ...local, capabilities: CAPABILITIES });
+      }
+    });
+
+    // NTP-style clock sync round (see src/lib/clock-sync.js)
+    handle('clock:ping', (payload, ack) => {
+      const serverReceivedAt = Date.now();
+      if (typeof ack === 'function') {
+        ack({ clientSentAt: payload.clientSentAt, serverReceivedAt, serverSentAt: Date.now() });
+      }
+    });
+
+    SESSION_EVENTS.forEach((event) => {
+      handle(event, (payload) => {
+        if (CONTROL_EVENTS.has(event) && !canControlPlayback(presence.get(clientId).role, room.settings)) {
+          reject(event, 'Only the host and moderators can control playback in this room', payload);
+          return;
+        }
+
+        const { version: versionBefore, videoId: videoBefore } = session.snapshot();
+        const error = session.apply(event, payload, { name: presence.get(clientId).name });
+        if (error) {
+          reject(event, error, payload);
+          return;
+        }
+        if (session.snapshot().version === versionBefore) {
+          return; // Accepted but nothing changed (e.g. a duplicate queue:advance)
+        }
+        say(`${event} from ${socket.id} (room ${roomId})`, payload);
+        io.to(roomId).emit('session:state', session.snapshot());
+        if (event === 'change-video') {
+          room.readyCheck.cancel(); // Whoever confirmed was ready for the old video
+        }
+        if (session.snapshot().videoId !== videoBefore) {
+          room.polls.videoChanged();
+        }
+      });
+    });
+
+    handle('chat:message', (payload) => {
+      const { message, error } = chat.post({ id: clientId, name: presence.get(clientId).name }, payload);
+      if (error) {
+        socket.emit('session:error', { event: 'chat:message', message: error });
+        return;
+      }
+      io.to(roomId).emit('chat:message', message);
+    });
+
+    handle('reaction', (payload) => {
+      const { reaction, error } = room.reactions.send({ id: clientId, name: presence.get(clientId).name }, payload);
+      if (error) {
+        socket.emit('session:error', { event: 'reaction', message: error });
+        return;
+      }
+      io.to(roomId).emit('reaction', reaction);
+    });
+
+    const broadcastComments = (videoId) => {
+      io.to(roomId).emit('comments:list', { videoId, comments: room.comments.list(videoId) });
+    };
+
+    handle('comments:request', (payload) => {
+      socket.emit('comments:list', { videoId: payload.videoId, comments: room.comments.list(payload.videoId) });
+    });
+
+    handle('comment:add', (payload) => {
+      const error = room.comments.add({ id: clientId, name: presence.get(clientId).name }, payload);
+      if (error) {
+        reject('comment:add', error);
+        return;
+      }
+      broadcastComments(payload.videoId);
+    });
+
+    handle('comment:remove', (payload) => {
+      const { role } = presence.get(clientId);
+      const error = room.comments.remove({ id: clientId }, payload, role === 'host' || role === 'moderator');
+      if (error) {
+        reject('comment:remove', error);
+        return;
+      }
+      broadcastComments(payload.videoId);
+    });
+
+    handle('presence:status', (payload) => {
+      if (presence.setStatus(clientId, payload.status)) {
+        broadcastPresence(roomId);
+      }
+    });
+
+    handle('room:update-settings', (payload) => {
+      if (presence.get(clientId).role !== 'host') {
+        reject('room:update-settings', 'Only the host can change room settings');
+        return;
+      }
+      const { settings, error } = updateSettings(room.settings, payload);
+      if (error) {
+        reject('room:update-settings', error);
+        return;
+      }
+      room.settings = settings;
+      io.to(roomId).emit('room:settings', settings);
+      room.polls.recount();
+      if (!settings.holdForBuffering) {
+        room.hold.cancel();
+      }
+    });
+
+    // Starting, overriding and cancelling a ready check are the host's calls
+    const handleReadyCheckAsHost = (event, handler) => handle(event, (payload) => {
+      if (presence.get(clientId).role !== 'host') {
+        reject(event, 'Only the host can run a ready check');
+        return;
+      }
+      handler(payload);
+    });
+
+    handleReadyCheckAsHost('ready:start', () => {
+      const error = room.readyCheck.start(clientId);
+      if (error) {
+        reject('ready:start', error);
+      }
+    });
+
+    handleReadyCheckAsHost('ready:override', () => {
+      const error = room.readyCheck.override();
+      if (error) {
+        reject('ready:override', error);
+      }
+    });
+
+    handleReadyCheckAsHost('ready:cancel', () => {
+      room.readyCheck.cancel();
+    });
+
+    handle('ready:confirm', (payload) => {
+      room.readyCheck.confirm(clientId, payload.checkId);
+    });
+
+    const isModerator = () => ['host', 'moderator'].includes(presence.get(clientId).role);
+
+    handle('poll:create', (payload) => {
+      const error = room.polls.create({ id: clientId, name: presence.get(clientId).name }, payload);
+      if (error) {
+        reject('poll:create', error);
+      }
+    });
+
+    // Open to everyone, host-only rooms included: the vote decides, not the starter
+    handle('poll:skip', () => {
+      const error = room.polls.startSkip({ id: clientId, name: presence.get(clientId).name });
+      if (error) {
+        reject('poll:skip', error);
+      }
+    });
+
+    handle('poll:vote', (payload) => {
+      const error = room.polls.vote(clientId, payload);
+      if (error) {
+        reject('poll:vote', error);
+      }
+    });
+
+    handle('poll:close', (payload) => {
+      const error = room.polls.close(clientId, payload.pollId, isModerator());
+      if (error) {
+        reject('poll:close', error);
+      }
+    });
+
+    handle('buffering:start', (payload) => {
+      room.hold.start(clientId, payload.currentTime);
+    });
+
+    handle('buffering:end', (payload) => {
+      room.hold.end(clientId, payload.currentTime);
+    });
+
+    handle('role:set', (payload) => {
+      const error = presence.setRole(clientId, payload.participantId, payload.role);
+      if (error) {
+        reject('role:set', error);
+        return;
+      }
+      broadcastPresence(roomId);
+    });
+
+    handle('role:transfer-host', (payload) => {
+      const error = presence.transferHost(clientId, payload.participantId);
+      if (error) {
+        reject('role:transfer-host', error);
+        return;
+      }
+      broadcastPresence(roomId);
+    });
+
+    handle('request-session-state', () => {
+      socket.emit('session:state', session.snapshot());
+    });
+
+    socket.on('disconnect', (reason) => {
+      say(`Client disconnected: ${socket.id} (${reason})`);
+      broadcastUserCount(roomId);
+
+      if (presence.disconnect(clientId, socket.id)) {
+        room.hold.end(clientId); // Don't keep everyone waiting for someone who left
+        room.readyCheck.participantsChanged();
+        room.polls.recount();
+        broadcastPresence(roomId);
+        const timer = setTimeout(() => {
+          graceTimers.delete(timer);
+          if (presence.removeIfDisconnected(clientId)) {
+            room.reactions.forget(clientId);
+            broadcastPresence(roomId);
+          }
+          pruneRoomIfEmpty(roomId);
+        }, disconnectGrace);
+        graceTimers.add(timer);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, () => {
+      const actualPort = httpServer.address().port;
+      say(`Listening on http://localhost:${actualPort}${SOCKET_PATH}`);
+      resolve({
+        port: actualPort,
+        io,
+        close: () => new Promise((done) => {
+          graceTimers.forEach(clearTimeout);
+          rooms.forEach((room) => {
+            room.hold.dispose();
+            room.readyCheck.dispose();
+          });
+          io.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+// Run directly: `node mock-server/server.mjs`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_SERVER_PORT) || DEFAULT_PORT;
+  startMockServer({ port }).catch((error) => {
+    console.error('[Mock Server] Failed to start:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,280 @@
+// server.test.mjs
+// Drives the mock server over real sockets: npm run test:mock-server
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { io } from 'socket.io-client';
+import { startMockServer } from './server.mjs';
+
+const WAIT_TIMEOUT = 3000; // ms before waitFor gives up
+
+let server;
+let testRoom; // Fresh per test, so rooms don't carry over
+let roomCount = 0;
+const clients = [];
+
+/**
+ * Connects a client to `roomId`, recording everything it receives so tests
+ * can wait for events that arrived before they started waiting
+ */
+const connect = ({ roomId = testRoom, clientId, name = clientId } = {}) => new Promise((resolve, reject) => {
+  const socket = io(`http://localhost:${server.port}`, {
+    path: '/api/socket.io',
+    query: { roomId, clientId, clientSecret: `${clientId}-secret`, name },
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true
+  });
+  const client = { socket, clientId, received: [] };
+  socket.onAny((event, payload) => client.received.push({ event, payload }));
+  clients.push(client);
+  socket.once('connect', () => resolve(client));
+  socket.once('connect_error', reject);
+});
+
+/**
+ * Resolves with the first `event` payload (received so far or later) that
+ * `match` accepts
+ */
+const waitFor = (client, event, match = () => true) => new Promise((resolve, reject) => {
+  const seen = client.received.find((received) => received.event === event && match(received.payload));
+  if (seen) {
+    resolve(seen.payload);
+    return;
+  }
+  const timer = setTimeout(() => {
+    client.socket.offAny(listener);
+    reject(new Error(`Timed out waiting for ${event}`));
+  }, WAIT_TIMEOUT);
+  const listener = (received, payload) => {
+    if (received === event && match(payload)) {
+      clearTimeout(timer);
+      client.socket.offAny(listener);
+      resolve(payload);
+    }
+  };
+  client.socket.onAny(listener);
+});
+
+const disconnect = (client) => new Promise((resolve) => {
+  client.socket.once('disconnect', () => resolve());
+  client.socket.close();
+});
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+describe('mock server', () => {
+  before(async () => {
+    server = await startMockServer({ port: 0, quiet: true, disconnectGrace: 50 });
+  });
+
+  beforeEach(() => {
+    testRoom = `room-${++roomCount}`;
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(({ socket }) => socket.close());
+  });
+
+  after(() => server.close());
+
+  describe('session', () => {
+    it('broadcasts accepted events to the room, stamped with the sender\'s actionId', async () => {
+      const host = await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: false, actionId: 'host:1' });
+      const state = await waitFor(viewer, 'session:state', (snapshot) => snapshot.actionId === 'host:1');
+      assert.equal(state.videoId, 'dQw4w9WgXcQ');
+      assert.equal(state.addedBy, 'host');
+
+      host.socket.emit('play', { currentTime: 12, actionId: 'host:2' });
+      const playing = await waitFor(viewer, 'session:state', (snapshot) => snapshot.actionId === 'host:2');
+      assert.equal(playing.isPlaying, true);
+      assert.equal(playing.playbackTimeAtLastEvent, 12);
+      assert.equal(playing.version, state.version + 1);
+    });
+
+    it('starts a queued video at its link\'s start time', async () => {
+      const host = await connect({ clientId: 'host' });
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      host.socket.emit('queue:add', { url: 'https://youtu.be/9bZkp7q19f0', sourceType: 'youtube', startAt: 90 });
+      await waitFor(host, 'session:state', (snapshot) => snapshot.queue.length === 1);
+
+      host.socket.emit('queue:advance', { fromVideoId: 'dQw4w9WgXcQ' });
+      const state = await waitFor(host, 'session:state', (snapshot) => snapshot.videoId === '9bZkp7q19f0');
+      assert.equal(state.playbackTimeAtLastEvent, 90);
+    });
+
+    it('rejects payloads that fail the protocol schema', async () => {
+      const host = await connect({ clientId: 'host' });
+
+      host.socket.emit('seek', { currentTime: 'soon', actionId: 'host:1' });
+      const error = await waitFor(host, 'session:error');
+      assert.equal(error.event, 'seek');
+      assert.equal(error.actionId, 'host:1');
+    });
+
+    it('keeps rooms apart', async () => {
+      const host = await connect({ clientId: 'host' });
+      const elsewhere = await connect({ roomId: 'other-room', clientId: 'elsewhere' });
+
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      await waitFor(host, 'session:state', (snapshot) => snapshot.videoId);
+      elsewhere.socket.emit('request-session-state');
+      await waitFor(elsewhere, 'session:state');
+      assert.ok(elsewhere.received.every(({ event, payload }) => event !== 'session:state' || payload.videoId === null));
+    });
+
+    it('forgets a room once everyone has left and their grace period is over', async () => {
+      const host = await connect({ roomId: 'short-lived', clientId: 'host' });
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      await waitFor(host, 'session:state', (snapshot) => snapshot.videoId);
+      await disconnect(host);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      const again = await connect({ roomId: 'short-lived', clientId: 'host' });
+      const state = await waitFor(again, 'session:state');
+      assert.equal(state.videoId, null);
+      assert.equal(state.version, 0);
+    });
+  });
+
+  describe('roles', () => {
+    it('makes the first participant host and everyone after a viewer', async () => {
+      const host = await connect({ clientId: 'host' });
+      await connect({ clientId: 'viewer' });
+
+      const list = await waitFor(host, 'presence:list', (participants) => participants.length === 2);
+      assert.deepEqual(list.map(({ id, role }) => [id, role]), [['host', 'host'], ['viewer', 'viewer']]);
+    });
+
+    it('only lets the host and moderators control playback in host-only rooms', async () => {
+      const host = await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+      host.socket.emit('room:update-settings', { hostOnlyControl: true });
+      await waitFor(viewer, 'room:settings', (settings) => settings.hostOnlyControl);
+
+      viewer.socket.emit('play', { currentTime: 0, actionId: 'viewer:1' });
+      const error = await waitFor(viewer, 'session:error');
+      assert.equal(error.actionId, 'viewer:1');
+
+      host.socket.emit('role:set', { participantId: 'viewer', role: 'moderator' });
+      await waitFor(viewer, 'presence:list', (participants) => participants.some(({ role }) => role === 'moderator'));
+      viewer.socket.emit('play', { currentTime: 0, actionId: 'viewer:2' });
+      await waitFor(host, 'session:state', (snapshot) => snapshot.actionId === 'viewer:2');
+    });
+
+    it("doesn't let viewers skip ahead in the queue in host-only rooms", async () => {
+      const host = await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      host.socket.emit('queue:add', { url: 'https://youtu.be/9bZkp7q19f0', sourceType: 'youtube' });
+      host.socket.emit('room:update-settings', { hostOnlyControl: true });
+      await waitFor(viewer, 'room:settings', (settings) => settings.hostOnlyControl);
+
+      viewer.socket.emit('queue:advance', { fromVideoId: 'dQw4w9WgXcQ' });
+      const error = await waitFor(viewer, 'session:error');
+      assert.equal(error.event, 'queue:advance');
+
+      viewer.socket.emit('request-session-state');
+      const state = await waitFor(viewer, 'session:state', (snapshot) => snapshot.queue.length === 1);
+      assert.equal(state.videoId, 'dQw4w9WgXcQ');
+    });
+
+    it('refuses a connection that claims someone else\'s clientId without their secret', async () => {
+      await connect({ clientId: 'host' });
+      const socket = io(`http://localhost:${server.port}`, {
+        path: '/api/socket.io',
+        query: { roomId: testRoom, clientId: 'host', clientSecret: 'guessed', name: 'Impostor' },
+        transports: ['websocket'],
+        reconnection: false,
+        forceNew: true
+      });
+      clients.push({ socket });
+
+      const error = await new Promise((resolve) => socket.once('connect_error', resolve));
+      assert.match(error.message, /belongs to someone else/);
+      assert.equal(socket.active, false); // Final: the client won't retry
+    });
+
+    it('rejects events from a tab whose shared clientId was removed by another tab leaving', async () => {
+      const first = await connect({ clientId: 'shared' });
+      const second = await connect({ clientId: 'shared' });
+      await disconnect(second);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      first.socket.emit('chat:message', { text: 'still here?' });
+      const error = await waitFor(first, 'session:error');
+      assert.equal(error.event, 'chat:message');
+    });
+
+    it('only lets the host change room settings', async () => {
+      await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+
+      viewer.socket.emit('room:update-settings', { hostOnlyControl: true });
+      const error = await waitFor(viewer, 'session:error');
+      assert.equal(error.event, 'room:update-settings');
+    });
+  });
+
+  describe('vote to skip', () => {
+    it('lets viewers start one in host-only rooms and skips once enough agree', async () => {
+      const host = await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      host.socket.emit('room:update-settings', { hostOnlyControl: true });
+      await waitFor(viewer, 'room:settings', (settings) => settings.hostOnlyControl);
+
+      viewer.socket.emit('poll:skip');
+      const [poll] = await waitFor(viewer, 'poll:list', (polls) => polls.length === 1);
+      assert.equal(poll.kind, 'skip');
+      assert.equal(poll.needed, 1); // Half of two
+
+      viewer.socket.emit('poll:vote', { pollId: poll.id, optionIndex: 0 });
+      const state = await waitFor(host, 'session:state', (snapshot) => snapshot.videoId === null && snapshot.version > 1);
+      assert.equal(state.isPlaying, false);
+    });
+
+    it('only lets the host or a moderator end one early, even for whoever started it', async () => {
+      const host = await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+      await connect({ clientId: 'third' });
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      await waitFor(viewer, 'session:state', (snapshot) => snapshot.videoId);
+
+      viewer.socket.emit('poll:skip');
+      const [poll] = await waitFor(viewer, 'poll:list', (polls) => polls.length === 1);
+      viewer.socket.emit('poll:close', { pollId: poll.id });
+      const error = await waitFor(viewer, 'session:error');
+      assert.equal(error.event, 'poll:close');
+
+      host.socket.emit('poll:close', { pollId: poll.id });
+      const [closed] = await waitFor(viewer, 'poll:list', (polls) => polls.length === 1 && polls[0].closedAt !== null);
+      assert.equal(closed.outcome, 'Closed');
+    });
+  });
+
+  describe('buffering hold', () => {
+    it('pauses the group for a stalled viewer and resumes when they catch up', async () => {
+      const host = await connect({ clientId: 'host' });
+      const viewer = await connect({ clientId: 'viewer' });
+      host.socket.emit('room:update-settings', { holdForBuffering: true });
+      host.socket.emit('change-video', { url: VIDEO_URL, sourceType: 'youtube', currentTime: 0, isPlaying: true });
+      await waitFor(viewer, 'session:state', (snapshot) => snapshot.isPlaying);
+
+      viewer.socket.emit('buffering:start', { currentTime: 5 });
+      const held = await waitFor(host, 'session:state', (snapshot) => snapshot.holdingFor.length);
+      assert.deepEqual(held.holdingFor, ['viewer']);
+      assert.equal(held.isPlaying, false);
+      assert.equal(held.playbackTimeAtLastEvent, 5);
+
+      viewer.socket.emit('buffering:end', { currentTime: 5.5 });
+      const resumed = await waitFor(host, 'session:state', (snapshot) => snapshot.version > held.version);
+      assert.deepEqual(resumed.holdingFor, []);
+      assert.equal(resumed.isPlaying, true);
+      assert.equal(resumed.playbackTimeAtLastEvent, 5.5);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+// session.mjs
+// Authoritative playback state for one watch session
+
+import { randomUUID } from 'crypto';
+import { PLAYBACK_RATES } from '../src/lib/protocol.mjs';
+import { parseMediaUrl, parseYouTubeUrl } from '../src/lib/video-url.mjs';
+
+// Source type → parser that turns a pasted URL into the session's videoId
+// (the same ones the client checks links with)
+const SOURCE_PARSERS = {
+  youtube: (input) => parseYouTubeUrl(input).videoId ?? null,
+  html5: parseMediaUrl
+};
+const SOURCE_ERRORS = {
+  youtube: 'Invalid YouTube URL',
+  html5: 'Invalid video file URL'
+};
+
+/**
+ * Creates a watch session
+ *
+ * Every accepted event bumps `version` and records the sender's `actionId`,
+ * so clients can drop stale snapshots and recognise their own echoes.
+ * Versions only mean something within one `epoch`: a restarted server
+ * starts a new session with a new epoch and counts from 0 again.
+ *
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Server clock in ms (injectable for tests)
+ * @param {string} [options.epoch] - Session identity (random by default)
+ */
+export function createSession({ now = Date.now, epoch = randomUUID() } = {}) {
+  const state = {
+    epoch,
+    version: 0,
+    videoId: null, // YouTube video ID, or media URL for html5 sources
+    sourceType: 'youtube',
+    addedBy: null, // Display name of whoever loaded or queued videoId
+    isPlaying: false,
+    playbackRate: 1, // Room-wide speed; playback advances this many seconds per second
+    playbackTimeAtLastEvent: 0,
+    lastEventAt: now(),
+    actionId: null,
+    queue: [], // Up-next items: { id, videoId, sourceType, url, addedAt, addedBy, startAt }
+    holdingFor: [] // Client IDs the group is paused for while they buffer (see hold.mjs)
+  };
+  let nextItemId = 1;
+
+  const toTime = (value) => (Number.isFinite(value) && value >= 0 ? value : 0);
+
+  function update(patch, actionId) {
+    Object.assign(state, patch, {
+      version: state.version + 1,
+      lastEventAt: now(),
+      actionId: actionId || null
+    });
+  }
+
+  /**
+   * Current state as a session:state payload
+   */
+  function snapshot() {
+    return { ...state, queue: [...state.queue], holdingFor: [...state.holdingFor], serverTime: now() };
+  }
+
+  /**
+   * Where playback is right now (s)
+   */
+  function position() {
+    return state.isPlaying
+      ? state.playbackTimeAtLastEvent + ((now() - state.lastEventAt) / 1000) * state.playbackRate
+      : state.playbackTimeAtLastEvent;
+  }
+
+  /**
+   * Pauses the group for buffering viewers, or updates who it's waiting for
+   * @param {string[]} clientIds
+   * @param {number} [atTime] - Where to hold (defaults to the current position)
+   */
+  function hold(clientIds, atTime) {
+    if (state.holdingFor.length) {
+      update({ holdingFor: clientIds });
+      return;
+    }
+    update({
+      isPlaying: false,
+      playbackTimeAtLastEvent: Number.isFinite(atTime) ? toTime(atTime) : position(),
+      holdingFor: clientIds
+    });
+  }
+
+  /**
+   * Ends a hold and resumes playback
+   * @param {number} [atTime] - Where to resume (defaults to the held position)
+   */
+  function release(atTime) {
+    if (!state.holdingFor.length) {
+      return;
+    }
+    update({
+      isPlaying: true,
+      playbackTimeAtLastEvent: Number.isFinite(atTime) ? toTime(atTime) : state.playbackTimeAtLastEvent,
+      holdingFor: []
+    });
+  }
+
+  /**
+   * Parses a pasted URL for the given source type
+   * @returns {{videoId: string, sourceType: string} | {error: string}}
+   */
+  function parseSource(url, sourceType = 'youtube') {
+    const parse = SOURCE_PARSERS[sourceType];
+    if (!parse) {
+      return { error: `Unsupported source type: ${sourceType}` };
+    }
+    const videoId = parse(url);
+    return videoId ? { videoId, sourceType } : { error: SOURCE_ERRORS[sourceType] };
+  }
+
+  /**
+   * Applies a client event. Returns an error message if it was rejected.
+   * Anything that decides playback for the group (everything but seeks and
+   * queue edits) ends a buffering hold.
+   *
+   * @param {string} event - play | pause | seek | set-rate | change-video |
+   *   queue:add | queue:remove | queue:move | queue:advance
+   * @param {Object} payload - Event payload as sent by the client
+   * @param {Object} [sender] - { name } of whoever sent it, recorded as addedBy
+   * @returns {string|null}
+   */
+  function apply(event, payload = {}, sender = {}) {
+    const { actionId } = payload;
+
+    switch (event) {
+      case 'change-video': {
+        const source = parseSource(payload.url, payload.sourceType);
+        if (source.error) {
+          return source.error;
+        }
+        update({
+          ...source,
+          addedBy: sender.name ?? null,
+          isPlaying: !!payload.isPlaying,
+          playbackTimeAtLastEvent: toTime(payload.currentTime),
+          holdingFor: []
+        }, actionId);
+        return null;
+      }
+
+      case 'play':
+        update({ isPlaying: true, playbackTimeAtLastEvent: toTime(payload.currentTime), holdingFor: [] }, actionId);
+        return null;
+
+      case 'pause':
+        update({ isPlaying: false, playbackTimeAtLastEvent: toTime(payload.currentTime), holdingFor: [] }, actionId);
+        return null;
+
+      case 'seek':
+        update({ playbackTimeAtLastEvent: toTime(payload.currentTime) }, actionId);
+        return null;
+
+      case 'set-rate':
+        // Re-anchored at the sender's position, since elapsed time now counts at the new rate
+        if (!PLAYBACK_RATES.includes(payload.rate)) {
+          return 'Unsupported playback rate';
+        }
+        update({ playbackRate: payload.rate, playbackTimeAtLastEvent: toTime(payload.currentTime) }, actionId);
+        return null;
+
+      case 'queue:add': {
+        const source = parseSource(payload.url, payload.sourceType);
+        if (source.error) {
+          return source.error;
+        }
+        const item = {
+          id: `q${nextItemId++}`,
+          ...source,
+          url: payload.url,
+          addedAt: now(),
+          addedBy: sender.name ?? null,
+          startAt: toTime(payload.startAt)
+        };
+        update({ queue: [...state.queue, item] });
+        return null;
+      }
+
+      case 'queue:remove': {
+        if (!state.queue.some((item) => item.id === payload.itemId)) {
+          return 'Queue item not found';
+        }
+        update({ queue: state.queue.filter((item) => item.id !== payload.itemId) });
+        return null;
+      }
+
+      case 'queue:move': {
+        const from = state.queue.findIndex((item) => item.id === payload.itemId);
+        if (from === -1 || !Number.isInteger(payload.toIndex)) {
+          return 'Queue item not found';
+        }
+        const queue = [...state.queue];
+        const [item] = queue.splice(from, 1);
+        queue.splice(Math.max(0, Math.min(payload.toIndex, queue.length)), 0, item);
+        update({ queue });
+        return null;
+      }
+
+      case 'queue:advance': {
+        // Every client reports the end; only the first report for the current video counts
+        if (payload.fromVideoId !== state.videoId || !state.queue.length) {
+          return null;
+        }
+        skip();
+        return null;
+      }
+
+      default:
+        return `Unknown event: ${event}`;
+    }
+  }
+
+  /**
+   * Moves on from the current video: the next queued one, or no video at
+   * all if the queue is empty (a vote to skip, see polls.mjs)
+   */
+  function skip() {
+    const [next, ...rest] = state.queue;
+    if (!next) {
+      update({ videoId: null, addedBy: null, isPlaying: false, playbackTimeAtLastEvent: 0, holdingFor: [] });
+      return;
+    }
+    update({
+      videoId: next.videoId,
+      sourceType: next.sourceType,
+      addedBy: next.addedBy,
+      isPlaying: true,
+      playbackTimeAtLastEvent: next.startAt,
+      queue: rest,
+      holdingFor: []
+    });
+  }
+
+  return { apply, snapshot, position, hold, release, skip };
+}
@@ -1,12 +1,63 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { BrowserRouter, Routes, Route, Navigate, useParams } from 'react-router-dom';
 import '@/App.css';
+import Lobby from '@/components/Lobby';
 import WatchParty from '@/components/WatchParty';
+import JoinForm from '@/components/JoinForm';
 import { Toaster } from '@/components/ui/sonner';
+import { TooltipProvider } from '@/components/ui/tooltip';
+import { CommandRegistryProvider } from '@/hooks/use-commands';
+import { isValidRoomId } from '@/lib/room-id';
+import { useDisplayName } from '@/hooks/use-display-name';
+
+// Ask for a display name first, then remount WatchParty per room so
+// switching rooms starts a fresh connection
+function Room() {
+  const { roomId } = useParams();
+  const [displayName, setDisplayName] = useDisplayName();
+  const [isChangingName, setIsChangingName] = useState(false);
+
+  if (!isValidRoomId(roomId)) {
+    return <Navigate to="/" replace />;
+  }
+
+  if (!displayName || isChangingName) {
+    return (
+      <JoinForm
+        roomId={roomId}
+        defaultName={displayName || ''}
+        onJoin={(name) => {
+          setDisplayName(name);
+          setIsChangingName(false);
+        }}
+      />
+    );
+  }
+
+  return (
+    <WatchParty
+      key={roomId}
+      roomId={roomId}
+      displayName={displayName}
+      onChangeName={() => setIsChangingName(true)}
+    />
+  );
+}
 
 function App() {
   return (
     <div className="App">
-      <WatchParty />
+      <TooltipProvider>
+        <CommandRegistryProvider>
+          <BrowserRouter>
+            <Routes>
+              <Route path="/" element={<Lobby />} />
+              <Route path="/room/:roomId" element={<Room />} />
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </BrowserRouter>
+        </CommandRegistryProvider>
+      </TooltipProvider>
       <Toaster position="top-right" />
     </div>
   );
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+/**
+ * "Bob, Alice" / "Bob and 3 others"
+ */
+const formatNames = (names) => (
+  names.length <= 2 ? names.join(' and ') : `${names[0]} and ${names.length - 1} others`
+);
+
+/**
+ * Shows who is buffering, over the video
+ *
+ * While the room is holding for someone it says so (the group is paused
+ * on their account); otherwise it just lists who else is stalled.
+ *
+ * @param {Object} props
+ * @param {Array} props.participants - From usePresence
+ * @param {string[]} props.holdingFor - Client IDs from engine state
+ * @param {string} props.selfId - Our clientId
+ */
+const BufferingBadge = ({ participants, holdingFor, selfId }) => {
+  const nameOf = (id) => (id === selfId ? 'you' : participants.find((p) => p.id === id)?.name || 'someone');
+  const buffering = participants.filter((p) => (
+    p.id !== selfId && p.connection === 'connected' && p.status === 'buffering'
+  ));
+
+  let text;
+  if (holdingFor.length) {
+    text = `Waiting for ${formatNames(holdingFor.map(nameOf))} to buffer...`;
+  } else if (buffering.length) {
+    text = `${formatNames(buffering.map((p) => p.name))} ${buffering.length === 1 ? 'is' : 'are'} buffering`;
+  } else {
+    return null;
+  }
+
+  return (
+    <div
+      className={cn(
+        'absolute top-3 left-3 px-3 py-1.5 rounded-full text-xs font-semibold flex items-center gap-1.5 backdrop-blur-md border',
+        holdingFor.length
+          ? 'bg-amber-500/30 border-amber-400/50 text-amber-100'
+          : 'bg-black/50 border-white/20 text-slate-200'
+      )}
+      style={{ zIndex: 20 }} // Above the click-protection overlay
+      data-testid="buffering-badge"
+      role="status"
+    >
+      <Loader2 className="w-3.5 h-3.5 animate-spin" />
+      {text}
+    </div>
+  );
+};
+export default BufferingBadge;
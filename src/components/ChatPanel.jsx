@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Avatar, AvatarFallback } from '@/components/ui/avatar';
+import { MessageSquare, ChevronRight, ArrowDown, Send } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { getInitials } from '@/lib/initials';
+import { MAX_CHAT_LENGTH } from '@/hooks/use-chat';
+import { useRegisterCommands } from '@/hooks/use-commands';
+
+const STICK_TO_BOTTOM_THRESHOLD = 40; // px from the bottom that still counts as "at the bottom"
+
+/**
+ * Counts messages from others that arrived after `lastSeenId`
+ * If lastSeenId has scrolled out of the bounded history, everything is unread
+ */
+const countUnread = (messages, lastSeenId, selfId) => {
+  const seenIndex = messages.findIndex((message) => message.id === lastSeenId);
+  return messages.slice(seenIndex + 1).filter((message) => message.senderId !== selfId).length;
+};
+
+/**
+ * Chat sidebar
+ *
+ * Auto-scroll follows new messages only while the user is at the bottom;
+ * once they scroll up to read history it stops and a "jump to latest" button
+ * appears instead. While collapsed, messages from others are counted as unread.
+ *
+ * @param {Object} props
+ * @param {Array} props.messages - From useChat
+ * @param {string} props.selfId - Our clientId (to mark own messages)
+ * @param {(text: string) => boolean} props.onSend
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onToggle
+ */
+const ChatPanel = ({ messages, selfId, onSend, isOpen, onToggle }) => {
+  const [draft, setDraft] = useState('');
+  const [isAtBottom, setIsAtBottomState] = useState(true);
+  const isAtBottomRef = useRef(true); // Same, for the follow effect: reaching the bottom isn't a reason to scroll
+  const [lastSeenId, setLastSeenId] = useState(null);
+  const scrollAreaRef = useRef(null);
+
+  useRegisterCommands([
+    { id: 'chat.toggle', label: isOpen ? 'Hide chat' : 'Show chat', group: 'Room', keywords: ['messages'], run: onToggle }
+  ]);
+
+  const lastMessageId = messages.length ? messages[messages.length - 1].id : null;
+  const unreadCount = isOpen ? 0 : countUnread(messages, lastSeenId, selfId);
+
+  // Everything is "seen" while the panel is open
+  useEffect(() => {
+    if (isOpen) {
+      setLastSeenId(lastMessageId);
+    }
+  }, [isOpen, lastMessageId]);
+
+  const setIsAtBottom = useCallback((value) => {
+    isAtBottomRef.current = value;
+    setIsAtBottomState(value);
+  }, []);
+
+  // The Radix viewport is the element that actually scrolls
+  const getViewport = useCallback(() => scrollAreaRef.current?.querySelector('[data-radix-scroll-area-viewport]'), []);
+
+  const scrollToBottom = useCallback(() => {
+    const viewport = getViewport();
+    if (viewport) {
+      viewport.scrollTop = viewport.scrollHeight;
+    }
+  }, [getViewport]);
+
+  useEffect(() => {
+    const viewport = getViewport();
+    if (!viewport) return;
+
+    const handleScroll = () => {
+      const distance = viewport.scrollHeight - viewport.scrollTop - viewport.clientHeight;
+      setIsAtBottom(distance < STICK_TO_BOTTOM_THRESHOLD);
+    };
+    viewport.addEventListener('scroll', handleScroll);
+    return () => viewport.removeEventListener('scroll', handleScroll);
+  }, [isOpen, getViewport, setIsAtBottom]);
+
+  // Follow new messages, unless the user scrolled up
+  useLayoutEffect(() => {
+    if (isOpen && isAtBottomRef.current) {
+      scrollToBottom();
+    }
+  }, [isOpen, lastMessageId, scrollToBottom]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onSend(draft)) {
+      setDraft('');
+      setIsAtBottom(true); // Sending always jumps back to the latest message
+      requestAnimationFrame(scrollToBottom);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <Button
+        data-testid="chat-open-btn"
+        onClick={onToggle}
+        variant="outline"
+        className="relative bg-white/10 border-white/20 text-white hover:bg-white/20"
+      >
+        <MessageSquare className="w-5 h-5 mr-2" />
+        Chat
+        {unreadCount > 0 && (
+          <span
+            className="ml-2 min-w-5 h-5 px-1.5 rounded-full bg-purple-600 text-xs font-semibold flex items-center justify-center"
+            data-testid="chat-unread-count"
+          >
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </Button>
+    );
+  }
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20 flex flex-col h-[36rem]" data-testid="chat-card">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
+        <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Chat</CardTitle>
+        <Button
+          data-testid="chat-collapse-btn"
+          onClick={onToggle}
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 text-slate-400 hover:text-white hover:bg-white/10"
+          aria-label="Collapse chat"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </Button>
+      </CardHeader>
+      <CardContent className="flex-1 flex flex-col min-h-0 gap-3">
+        <div className="relative flex-1 min-h-0">
+          <ScrollArea ref={scrollAreaRef} className="h-full pr-3">
+            {messages.length === 0 ? (
+              <p className="text-slate-400 text-sm">No messages yet. Say hi!</p>
+            ) : (
+              <ul className="space-y-3" data-testid="chat-messages">
+                {messages.map((message) => (
+                  <li key={message.id} className="flex gap-2">
+                    <Avatar className="h-8 w-8">
+                      <AvatarFallback className="bg-purple-600/60 text-white text-xs">{getInitials(message.name)}</AvatarFallback>
+                    </Avatar>
+                    <div className="min-w-0">
+                      <div className="flex items-baseline gap-2">
+                        <span className={cn('text-sm font-semibold', message.senderId === selfId ? 'text-purple-300' : 'text-white')}>
+                          {message.name}
+                        </span>
+                        <time className="text-xs text-slate-500" dateTime={new Date(message.sentAt).toISOString()}>
+                          {format(message.sentAt, 'HH:mm')}
+                        </time>
+                      </div>
+                      <p className="text-slate-200 text-sm break-words whitespace-pre-wrap">{message.text}</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </ScrollArea>
+          {!isAtBottom && (
+            <Button
+              data-testid="chat-jump-latest-btn"
+              onClick={() => {
+                setIsAtBottom(true);
+                scrollToBottom();
+              }}
+              size="sm"
+              className="absolute bottom-2 left-1/2 -translate-x-1/2 bg-purple-600 hover:bg-purple-700 text-white shadow-lg"
+            >
+              <ArrowDown className="w-4 h-4 mr-1" />
+              Jump to latest
+            </Button>
+          )}
+        </div>
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <Input
+            data-testid="chat-input"
+            type="text"
+            value={draft}
+            maxLength={MAX_CHAT_LENGTH}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Say something..."
+            className="flex-1 bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+          />
+          <Button
+            data-testid="chat-send-btn"
+            type="submit"
+            size="icon"
+            className="bg-purple-600 hover:bg-purple-700 text-white"
+            aria-label="Send message"
+          >
+            <Send className="w-4 h-4" />
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+export default ChatPanel;
@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog';
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandShortcut
+} from '@/components/ui/command';
+import { CornerDownLeft } from 'lucide-react';
+import { useCommandRegistry, useCommands } from '@/hooks/use-commands';
+
+const ITEM_CLASS = 'text-slate-200 data-[selected=true]:bg-white/10 data-[selected=true]:text-white';
+
+/**
+ * Groups commands under their headings, keeping registration order
+ */
+const groupCommands = (commands) => commands.reduce((groups, command) => {
+  const group = groups.find(({ heading }) => heading === command.group);
+  if (group) {
+    group.commands.push(command);
+  } else {
+    groups.push({ heading: command.group, commands: [command] });
+  }
+  return groups;
+}, []);
+
+/**
+ * Ctrl/Cmd+K command palette
+ *
+ * Lists every command features have registered (see hooks/use-commands.js).
+ * Commands that need a value (a URL, a timestamp) switch the palette into
+ * an input step: type the value, Enter runs it, Escape goes back.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+const CommandPalette = ({ open, onOpenChange }) => {
+  const registry = useCommandRegistry();
+  const commands = useCommands();
+  const [search, setSearch] = useState('');
+  const [pendingId, setPendingId] = useState(null); // Command waiting for input
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const pending = pendingId ? commands.find((command) => command.id === pendingId) : null;
+
+  // Ctrl/Cmd+K toggles the palette from anywhere, even while typing
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key.toLowerCase() === 'k' && (event.metaKey || event.ctrlKey)) {
+        event.preventDefault();
+        onOpenChange(!open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onOpenChange]);
+
+  // Every opening starts from the full list
+  useEffect(() => {
+    if (!open) {
+      setSearch('');
+      setPendingId(null);
+      setValue('');
+      setError(null);
+    }
+  }, [open]);
+
+  const runCommand = (id, input) => {
+    const command = registry.get(id); // Latest closure, not the rendered snapshot
+    if (!command || command.disabled) return;
+    onOpenChange(false);
+    command.run(input);
+  };
+
+  const handleSelect = (command) => {
+    if (command.input) {
+      setPendingId(command.id);
+      setValue('');
+      setError(null);
+    } else {
+      runCommand(command.id);
+    }
+  };
+
+  const handleSubmitInput = () => {
+    const validationError = registry.get(pendingId)?.input?.validate?.(value) ?? null;
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    runCommand(pendingId, value);
+  };
+
+  // Escape during an input step goes back to the list rather than closing
+  const handleEscapeKeyDown = (event) => {
+    if (pending) {
+      event.preventDefault();
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent
+        className="overflow-hidden p-0 bg-slate-900 border-white/20 text-white"
+        onEscapeKeyDown={handleEscapeKeyDown}
+        data-testid="command-palette"
+      >
+        <DialogTitle className="sr-only">Command palette</DialogTitle>
+        <Command
+          shouldFilter={!pending}
+          className="bg-transparent text-white [&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:text-slate-400 [&_[cmdk-group]]:px-2 [&_[cmdk-input]]:h-12 [&_[cmdk-item]]:px-2 [&_[cmdk-item]]:py-3"
+        >
+          <CommandInput
+            data-testid="command-palette-input"
+            value={pending ? value : search}
+            onValueChange={(next) => {
+              if (pending) {
+                setValue(next);
+                setError(null);
+              } else {
+                setSearch(next);
+              }
+            }}
+            placeholder={pending ? pending.input.placeholder : 'Type a command or search...'}
+            className="text-white placeholder:text-slate-400"
+          />
+          <CommandList>
+            {pending ? (
+              <CommandGroup heading={pending.label}>
+                <CommandItem value="submit" onSelect={handleSubmitInput} className={ITEM_CLASS}>
+                  <CornerDownLeft />
+                  {error ? <span className="text-red-400">{error}</span> : `Press Enter to run "${pending.label}" (Esc to go back)`}
+                </CommandItem>
+              </CommandGroup>
+            ) : (
+              <>
+                <CommandEmpty className="py-6 text-center text-sm text-slate-400">No matching commands.</CommandEmpty>
+                {groupCommands(commands).map(({ heading, commands: groupItems }) => (
+                  <CommandGroup key={heading} heading={heading}>
+                    {groupItems.map((command) => (
+                      <CommandItem
+                        key={command.id}
+                        value={command.id}
+                        keywords={[command.label, ...(command.keywords || [])]}
+                        disabled={command.disabled}
+                        onSelect={() => handleSelect(command)}
+                        className={ITEM_CLASS}
+                        data-testid="command-item"
+                      >
+                        {command.label}
+                        {command.input && <span className="text-slate-500">...</span>}
+                        {command.shortcut && <CommandShortcut className="text-slate-500">{command.shortcut}</CommandShortcut>}
+                      </CommandItem>
+                    ))}
+                  </CommandGroup>
+                ))}
+              </>
+            )}
+          </CommandList>
+        </Command>
+      </DialogContent>
+    </Dialog>
+  );
+};
+export default CommandPalette;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+import { Download, FileJson, FileText, MessageSquarePlus, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { formatTime } from '@/lib/format-time';
+import { MAX_COMMENT_LENGTH } from '@/lib/protocol.mjs';
+import PermissionTooltip from '@/components/PermissionTooltip';
+
+/**
+ * Timestamped comments on the current video
+ *
+ * A comment is anchored where the video was when you started typing it, not
+ * when you pressed Enter, so writing a long note doesn't drift it past the
+ * moment it's about. Clicking a timestamp seeks the whole room there.
+ *
+ * @param {Object} props
+ * @param {Array} props.comments - From useComments
+ * @param {string} props.selfId - Our clientId (authors can delete their own)
+ * @param {boolean} props.canModerate - Host or moderator (can delete any)
+ * @param {() => number|null} props.getCurrentTime - The player's position
+ * @param {(time: number, text: string) => boolean} props.onAdd
+ * @param {(commentId: string) => void} props.onRemove
+ * @param {(seconds: number) => void} props.onSeek
+ * @param {boolean} props.canSeek
+ * @param {string} [props.seekDisabledReason]
+ * @param {(format: 'json'|'markdown') => void} props.onExport
+ */
+const CommentsPanel = ({
+  comments,
+  selfId,
+  canModerate,
+  getCurrentTime,
+  onAdd,
+  onRemove,
+  onSeek,
+  canSeek,
+  seekDisabledReason,
+  onExport
+}) => {
+  const [draft, setDraft] = useState('');
+  const [anchorTime, setAnchorTime] = useState(null); // Captured on the first keystroke
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    if (!next) {
+      setAnchorTime(null);
+    } else if (anchorTime === null) {
+      setAnchorTime(getCurrentTime() ?? 0);
+    }
+    setDraft(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onAdd(anchorTime ?? getCurrentTime() ?? 0, draft)) {
+      setDraft('');
+      setAnchorTime(null);
+    }
+  };
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="comments-card">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+          Comments {comments.length > 0 && <span className="text-slate-400 text-base font-normal">({comments.length})</span>}
+        </CardTitle>
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button
+              data-testid="comments-export-btn"
+              disabled={!comments.length}
+              variant="ghost"
+              size="sm"
+              className="text-slate-300 hover:text-white hover:bg-white/10"
+            >
+              <Download className="w-4 h-4 mr-1" />
+              Export
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuItem data-testid="comments-export-json-item" onSelect={() => onExport('json')}>
+              <FileJson />
+              JSON
+            </DropdownMenuItem>
+            <DropdownMenuItem data-testid="comments-export-markdown-item" onSelect={() => onExport('markdown')}>
+              <FileText />
+              Markdown
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleSubmit} className="flex gap-3">
+          <div className="relative flex-1">
+            {anchorTime !== null && (
+              <span
+                className="absolute left-3 top-1/2 -translate-y-1/2 text-amber-300 text-xs font-mono"
+                data-testid="comment-anchor-time"
+              >
+                {formatTime(anchorTime)}
+              </span>
+            )}
+            <Input
+              data-testid="comment-input"
+              type="text"
+              value={draft}
+              onChange={handleChange}
+              maxLength={MAX_COMMENT_LENGTH}
+              placeholder="Comment on this moment..."
+              className={cn('bg-white/5 border-white/20 text-white placeholder:text-slate-400', anchorTime !== null && 'pl-14')}
+            />
+          </div>
+          <Button
+            data-testid="comment-add-btn"
+            type="submit"
+            disabled={!draft.trim()}
+            variant="outline"
+            className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            <MessageSquarePlus className="w-5 h-5 mr-2" />
+            Add
+          </Button>
+        </form>
+
+        {comments.length === 0 ? (
+          <p className="text-slate-400 text-sm">No comments on this video yet. They show up as markers on the seek bar.</p>
+        ) : (
+          <ol className="space-y-2" data-testid="comment-list">
+            {comments.map((comment) => (
+              <li key={comment.id} className="flex items-start gap-3 p-2 rounded-lg bg-white/5" data-testid="comment-item">
+                <PermissionTooltip allowed={canSeek} reason={seekDisabledReason}>
+                  <Button
+                    data-testid="comment-seek-btn"
+                    onClick={() => onSeek(comment.time)}
+                    disabled={!canSeek}
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 px-2 font-mono text-amber-300 hover:text-amber-200 hover:bg-white/10"
+                  >
+                    {formatTime(comment.time)}
+                  </Button>
+                </PermissionTooltip>
+                <p className="flex-1 text-sm text-slate-200 break-words pt-1">
+                  <span className="font-semibold text-white">{comment.authorId === selfId ? 'You' : comment.name}</span>{' '}
+                  {comment.text}
+                </p>
+                {(comment.authorId === selfId || canModerate) && (
+                  <Button
+                    data-testid="comment-remove-btn"
+                    onClick={() => onRemove(comment.id)}
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 text-slate-400 hover:text-white hover:bg-white/10"
+                    aria-label="Delete comment"
+                  >
+                    <X className="w-4 h-4" />
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+export default CommentsPanel;
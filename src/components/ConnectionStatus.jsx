@@ -0,0 +1,71 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Loader2, RefreshCw, Wifi, WifiOff } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { CONNECTION_STATUS } from '@/lib/connection-manager';
+
+/**
+ * What each status looks like; label may depend on the retry attempt
+ */
+const STATUS_DISPLAY = {
+  [CONNECTION_STATUS.CONNECTING]: {
+    icon: Loader2,
+    spin: true,
+    className: 'text-slate-300',
+    label: ({ attempt, maxAttempts }) => (attempt ? `Connecting (attempt ${attempt} of ${maxAttempts})...` : 'Connecting...')
+  },
+  [CONNECTION_STATUS.CONNECTED]: {
+    icon: Wifi,
+    className: 'text-green-400',
+    label: () => 'Connected'
+  },
+  [CONNECTION_STATUS.RECONNECTING]: {
+    icon: Loader2,
+    spin: true,
+    className: 'text-amber-400',
+    label: ({ attempt, maxAttempts }) => (attempt ? `Reconnecting (attempt ${attempt} of ${maxAttempts})...` : 'Reconnecting...')
+  },
+  [CONNECTION_STATUS.FAILED]: {
+    icon: WifiOff,
+    className: 'text-red-400',
+    label: () => 'Disconnected'
+  }
+};
+
+/**
+ * Persistent connection indicator, with a manual "Reconnect" once
+ * automatic retries have run out
+ *
+ * @param {Object} props
+ * @param {Object} props.state - From useConnectionState
+ * @param {() => void} props.onReconnect
+ */
+const ConnectionStatus = ({ state, onReconnect }) => {
+  const display = STATUS_DISPLAY[state.status];
+  const StatusIcon = display.icon;
+
+  return (
+    <div
+      className="bg-white/10 backdrop-blur-md px-4 py-2 rounded-full border border-white/20 flex items-center gap-2"
+      data-testid="connection-status"
+      data-status={state.status}
+      role="status"
+    >
+      <StatusIcon className={cn('w-4 h-4', display.className, display.spin && 'animate-spin')} />
+      <span className={cn('text-sm font-semibold', display.className)}>{display.label(state)}</span>
+      {state.status === CONNECTION_STATUS.FAILED && (
+        <Button
+          data-testid="reconnect-btn"
+          onClick={onReconnect}
+          variant="ghost"
+          size="sm"
+          className="h-7 text-purple-300 hover:text-white hover:bg-white/10"
+        >
+          <RefreshCw className="w-4 h-4 mr-1" />
+          Reconnect
+        </Button>
+      )}
+    </div>
+  );
+};
+export default ConnectionStatus;
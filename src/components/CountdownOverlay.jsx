@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+
+const TICK_INTERVAL = 50; // ms between redraws, well under a frame of the 1s digits
+
+/**
+ * 3-2-1 over the video, counting down to a moment on the server clock
+ *
+ * Every client reads the same server time (through its clock-sync
+ * estimate), so the digits change together and hit zero as the server
+ * starts playback.
+ *
+ * @param {Object} props
+ * @param {number} props.startsAt - Server time (ms)
+ * @param {() => number} props.getServerTime - Estimated server clock (engine.getServerTime)
+ */
+const CountdownOverlay = ({ startsAt, getServerTime }) => {
+  const [remaining, setRemaining] = useState(() => startsAt - getServerTime());
+
+  useEffect(() => {
+    const tick = () => setRemaining(startsAt - getServerTime());
+    tick();
+    const interval = setInterval(tick, TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [startsAt, getServerTime]);
+
+  if (remaining <= 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="absolute inset-0 flex items-center justify-center bg-black/40 pointer-events-none"
+      style={{ zIndex: 20 }} // Above the click-protection overlay
+      data-testid="countdown-overlay"
+      role="timer"
+      aria-live="assertive"
+    >
+      <span
+        key={Math.ceil(remaining / 1000)} // Restarts the pop-in on every digit
+        className="text-white text-8xl font-bold drop-shadow-lg animate-in zoom-in-50 fade-in duration-300"
+        style={{ fontFamily: '"Space Grotesk", sans-serif' }}
+      >
+        {Math.ceil(remaining / 1000)}
+      </span>
+    </div>
+  );
+};
+export default CountdownOverlay;
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Plus, X } from 'lucide-react';
+import { POLL_LIMITS } from '@/lib/protocol.mjs';
+
+const EMPTY_OPTIONS = Array(POLL_LIMITS.minOptions).fill('');
+
+/**
+ * @returns {string|null} What's wrong with the poll, if anything
+ */
+const validatePoll = (question, options) => {
+  if (!question.trim()) {
+    return 'Ask a question';
+  }
+  if (options.some((option) => !option.trim())) {
+    return 'Fill in every option, or remove the empty ones';
+  }
+  return null;
+};
+
+/**
+ * Question plus 2-6 options for a new room poll
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {(question: string, options: string[]) => void} props.onCreate
+ */
+const CreatePollDialog = ({ open, onOpenChange, onCreate }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(EMPTY_OPTIONS);
+  const [error, setError] = useState(null);
+
+  // Every opening starts from a blank poll
+  useEffect(() => {
+    if (open) {
+      setQuestion('');
+      setOptions(EMPTY_OPTIONS);
+      setError(null);
+    }
+  }, [open]);
+
+  const setOption = (index, value) => {
+    setOptions((prev) => prev.map((option, i) => (i === index ? value : option)));
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationError = validatePoll(question, options);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onCreate(question.trim(), options.map((option) => option.trim()));
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-white/20 text-white" data-testid="create-poll-dialog">
+        <DialogHeader>
+          <DialogTitle style={{ fontFamily: '"Space Grotesk", sans-serif' }}>New poll</DialogTitle>
+          <DialogDescription className="text-slate-400">
+            Everyone in the room can vote once and sees the results live.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="poll-question" className="text-white">Question</Label>
+            <Input
+              id="poll-question"
+              data-testid="poll-question-input"
+              value={question}
+              onChange={(e) => {
+                setQuestion(e.target.value);
+                setError(null);
+              }}
+              maxLength={POLL_LIMITS.question}
+              placeholder="What should we watch next?"
+              className="bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+              autoFocus
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label className="text-white">Options</Label>
+            {options.map((option, index) => (
+              <div key={index} className="flex gap-2">
+                <Input
+                  data-testid="poll-option-input"
+                  value={option}
+                  onChange={(e) => setOption(index, e.target.value)}
+                  maxLength={POLL_LIMITS.option}
+                  placeholder={`Option ${index + 1}`}
+                  className="bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+                  aria-label={`Option ${index + 1}`}
+                />
+                {options.length > POLL_LIMITS.minOptions && (
+                  <Button
+                    type="button"
+                    data-testid="poll-option-remove-btn"
+                    onClick={() => setOptions((prev) => prev.filter((_, i) => i !== index))}
+                    variant="ghost"
+                    size="icon"
+                    className="text-slate-400 hover:text-white hover:bg-white/10"
+                    aria-label={`Remove option ${index + 1}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+            {options.length < POLL_LIMITS.maxOptions && (
+              <Button
+                type="button"
+                data-testid="poll-option-add-btn"
+                onClick={() => setOptions((prev) => [...prev, ''])}
+                variant="ghost"
+                size="sm"
+                className="text-purple-300 hover:text-white hover:bg-white/10"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add option
+              </Button>
+            )}
+          </div>
+
+          {error && <p className="text-red-400 text-sm" data-testid="poll-error">{error}</p>}
+
+          <DialogFooter>
+            <Button data-testid="poll-create-btn" type="submit" className="bg-purple-600 hover:bg-purple-700 text-white">
+              Start poll
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+export default CreatePollDialog;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form';
+import { LogIn } from 'lucide-react';
+import { displayNameSchema, MAX_DISPLAY_NAME_LENGTH } from '@/lib/display-name';
+
+const joinFormSchema = z.object({
+  displayName: displayNameSchema
+});
+
+/**
+ * Asks for a display name before joining a room
+ *
+ * @param {Object} props
+ * @param {string} props.roomId - Shown so people know where they're going
+ * @param {string} [props.defaultName] - Prefill (e.g. when changing name)
+ * @param {(name: string) => void} props.onJoin - Called with the validated, normalized name
+ */
+const JoinForm = ({ roomId, defaultName = '', onJoin }) => {
+  const form = useForm({
+    resolver: zodResolver(joinFormSchema),
+    defaultValues: { displayName: defaultName }
+  });
+
+  const handleSubmit = ({ displayName }) => onJoin(displayName);
+
+  return (
+    <div className="min-h-screen bg-slate-950">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-5xl font-bold text-white mb-2" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+            Watch Party
+          </h1>
+          <p className="text-slate-300 text-lg" style={{ fontFamily: '"Inter", sans-serif' }}>
+            Joining room <span className="font-mono text-white">{roomId}</span>
+          </p>
+        </div>
+
+        <div className="max-w-md mx-auto">
+          <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="join-card">
+            <CardHeader>
+              <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>What should we call you?</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <Form {...form}>
+                <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4">
+                  <FormField
+                    control={form.control}
+                    name="displayName"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel className="text-slate-300">Display name</FormLabel>
+                        <FormControl>
+                          <Input
+                            data-testid="display-name-input"
+                            autoFocus
+                            maxLength={MAX_DISPLAY_NAME_LENGTH + 8}
+                            placeholder="e.g. Popcorn Pam"
+                            className="bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+                            {...field}
+                          />
+                        </FormControl>
+                        <FormMessage className="text-red-400" />
+                      </FormItem>
+                    )}
+                  />
+                  <Button
+                    data-testid="join-btn"
+                    type="submit"
+                    className="w-full bg-purple-600 hover:bg-purple-700 text-white"
+                  >
+                    <LogIn className="w-5 h-5 mr-2" />
+                    Join Party
+                  </Button>
+                </form>
+              </Form>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default JoinForm;
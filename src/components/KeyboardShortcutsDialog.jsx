@@ -0,0 +1,51 @@
+import React from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+
+// KeyboardEvent.key → what's printed on the keycap
+const KEY_LABELS = {
+  ' ': 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+/**
+ * Lists the keyboard shortcuts ("?")
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {Array<{keys: string[], description: string}>} props.shortcuts - Same list useKeyboardShortcuts gets
+ */
+const KeyboardShortcutsDialog = ({ open, onOpenChange, shortcuts }) => (
+  <Dialog open={open} onOpenChange={onOpenChange}>
+    <DialogContent className="bg-slate-900 border-white/20 text-white" data-testid="shortcuts-dialog">
+      <DialogHeader>
+        <DialogTitle style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Keyboard shortcuts</DialogTitle>
+        <DialogDescription className="text-slate-400">
+          Playback shortcuts sync to everyone, just like the buttons. They're ignored while you're typing.
+        </DialogDescription>
+      </DialogHeader>
+
+      <dl className="space-y-2">
+        {shortcuts.map(({ keys, description }) => (
+          <div key={description} className="flex items-center justify-between gap-4">
+            <dt className="text-slate-300 text-sm">{description}</dt>
+            <dd className="flex gap-1">
+              {keys.map((key) => (
+                <kbd
+                  key={key}
+                  className="min-w-7 px-2 py-0.5 rounded border border-white/20 bg-white/10 text-center text-xs font-mono text-white"
+                >
+                  {KEY_LABELS[key] || key}
+                </kbd>
+              ))}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </DialogContent>
+  </Dialog>
+);
+export default KeyboardShortcutsDialog;
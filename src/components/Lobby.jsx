@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Plus, LogIn } from 'lucide-react';
+import { generateRoomId, parseRoomInput } from '@/lib/room-id';
+
+/**
+ * Lobby: create a new room or join one by ID / invite link
+ */
+const Lobby = () => {
+  const navigate = useNavigate();
+  const [roomInput, setRoomInput] = useState('');
+  const [error, setError] = useState('');
+
+  const handleCreateRoom = () => {
+    navigate(`/room/${generateRoomId()}`);
+  };
+
+  const handleJoinRoom = (e) => {
+    e.preventDefault();
+
+    const roomId = parseRoomInput(roomInput);
+    if (!roomId) {
+      setError('Enter a room ID (e.g. k3m-9xpt-q2a) or paste an invite link');
+      return;
+    }
+    navigate(`/room/${roomId}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-5xl font-bold text-white mb-2" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+            Watch Party
+          </h1>
+          <p className="text-slate-300 text-lg" style={{ fontFamily: '"Inter", sans-serif' }}>
+            Watch YouTube videos together in perfect sync
+          </p>
+        </div>
+
+        <div className="max-w-xl mx-auto space-y-6">
+          {/* Create Room */}
+          <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="create-room-card">
+            <CardHeader>
+              <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Start a party</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <Button
+                data-testid="create-room-btn"
+                onClick={handleCreateRoom}
+                className="w-full bg-purple-600 hover:bg-purple-700 text-white"
+              >
+                <Plus className="w-5 h-5 mr-2" />
+                Create Room
+              </Button>
+            </CardContent>
+          </Card>
+
+          {/* Join Room */}
+          <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="join-room-card">
+            <CardHeader>
+              <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Join a party</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleJoinRoom} className="flex gap-3">
+                <Input
+                  data-testid="room-id-input"
+                  type="text"
+                  value={roomInput}
+                  onChange={(e) => {
+                    setRoomInput(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="Room ID or invite link"
+                  className="flex-1 bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+                />
+                <Button
+                  data-testid="join-room-btn"
+                  type="submit"
+                  variant="outline"
+                  className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                  <LogIn className="w-5 h-5 mr-2" />
+                  Join
+                </Button>
+              </form>
+              {error && <p className="text-red-400 text-sm mt-2" data-testid="room-id-error">{error}</p>}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default Lobby;
@@ -0,0 +1,180 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Avatar, AvatarFallback } from '@/components/ui/avatar';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+import { Play, Pause, Loader2, MousePointerClick, Moon, Pencil, Crown, Shield, MoreVertical, CheckCircle2, Clock } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { getInitials } from '@/lib/initials';
+import { ROLES } from '@/lib/roles';
+
+// Presence status → how it's shown
+const STATUS_DISPLAY = {
+  playing: { label: 'Watching', icon: Play, className: 'text-green-400' },
+  paused: { label: 'Paused', icon: Pause, className: 'text-slate-300' },
+  buffering: { label: 'Buffering', icon: Loader2, className: 'text-amber-400', spin: true },
+  'awaiting-sync': { label: 'Waiting to sync', icon: MousePointerClick, className: 'text-yellow-400' },
+  idle: { label: 'No video', icon: Moon, className: 'text-slate-500' }
+};
+
+// Viewers get no badge
+const ROLE_DISPLAY = {
+  [ROLES.HOST]: { label: 'Host', icon: Crown, className: 'text-amber-300' },
+  [ROLES.MODERATOR]: { label: 'Moderator', icon: Shield, className: 'text-sky-300' }
+};
+
+/**
+ * Host-only menu for changing someone else's role
+ */
+const RoleMenu = ({ participant, onSetRole, onTransferHost }) => {
+  const isModerator = participant.role === ROLES.MODERATOR;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          data-testid="participant-role-menu-btn"
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 text-slate-400 hover:text-white hover:bg-white/10"
+          aria-label={`Manage ${participant.name}`}
+        >
+          <MoreVertical className="w-4 h-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem
+          data-testid="make-host-item"
+          disabled={participant.connection !== 'connected'}
+          onSelect={() => onTransferHost(participant.id)}
+        >
+          <Crown />
+          Make host
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          data-testid="toggle-moderator-item"
+          onSelect={() => onSetRole(participant.id, isModerator ? ROLES.VIEWER : ROLES.MODERATOR)}
+        >
+          <Shield />
+          {isModerator ? 'Remove moderator' : 'Make moderator'}
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+/**
+ * Participant panel: who's here, their role and what their player is doing
+ *
+ * The host also gets a menu on everyone else to hand over host or
+ * promote/demote moderators.
+ *
+ * @param {Object} props
+ * @param {Array} props.participants - From usePresence
+ * @param {string} props.selfId - Our clientId
+ * @param {() => void} props.onChangeName
+ * @param {boolean} props.canManageRoles - We're the host
+ * @param {(participantId: string, role: string) => void} props.onSetRole
+ * @param {(participantId: string) => void} props.onTransferHost
+ * @param {string[]|null} [props.readyIds] - Who has confirmed, while a ready check is open
+ */
+const ParticipantList = ({ participants, selfId, onChangeName, canManageRoles, onSetRole, onTransferHost, readyIds = null }) => {
+  const connectedCount = participants.filter((p) => p.connection === 'connected').length;
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="participants-card">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
+        <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+          Viewers <span className="text-slate-400 text-base font-normal">({connectedCount})</span>
+        </CardTitle>
+        <Button
+          data-testid="change-name-btn"
+          onClick={onChangeName}
+          variant="ghost"
+          size="sm"
+          className="h-8 text-slate-400 hover:text-white hover:bg-white/10"
+        >
+          <Pencil className="w-3.5 h-3.5 mr-1" />
+          Change name
+        </Button>
+      </CardHeader>
+      <CardContent>
+        <ul className="space-y-3" data-testid="participant-list">
+          {participants.map((participant) => {
+            const status = STATUS_DISPLAY[participant.status] || STATUS_DISPLAY.idle;
+            const StatusIcon = status.icon;
+            const role = ROLE_DISPLAY[participant.role];
+            const RoleIcon = role?.icon;
+            const isConnected = participant.connection === 'connected';
+
+            return (
+              <li
+                key={participant.id}
+                className={cn('flex items-center gap-3', !isConnected && 'opacity-50')}
+                data-testid="participant"
+              >
+                <div className="relative">
+                  <Avatar className="h-8 w-8">
+                    <AvatarFallback className="bg-purple-600/60 text-white text-xs">{getInitials(participant.name)}</AvatarFallback>
+                  </Avatar>
+                  <span
+                    className={cn(
+                      'absolute -bottom-0.5 -right-0.5 w-3 h-3 rounded-full border-2 border-slate-900',
+                      isConnected ? 'bg-green-500' : 'bg-slate-500'
+                    )}
+                    title={isConnected ? 'Connected' : 'Disconnected'}
+                  />
+                </div>
+                <div className="min-w-0 flex-1">
+                  <p className="text-white text-sm font-semibold flex items-center gap-1.5 min-w-0">
+                    <span className="truncate">
+                      {participant.name}
+                      {participant.id === selfId && <span className="text-slate-400 font-normal"> (you)</span>}
+                    </span>
+                    {role && (
+                      <span className={cn('shrink-0', role.className)} title={role.label} data-testid="participant-role">
+                        <RoleIcon className="w-3.5 h-3.5" aria-label={role.label} />
+                      </span>
+                    )}
+                  </p>
+                  <p className={cn('text-xs flex items-center gap-1', isConnected ? status.className : 'text-slate-500')}>
+                    {isConnected ? (
+                      <>
+                        <StatusIcon className={cn('w-3 h-3', status.spin && 'animate-spin')} />
+                        {status.label}
+                      </>
+                    ) : (
+                      'Reconnecting...'
+                    )}
+                  </p>
+                </div>
+                {readyIds && isConnected && (
+                  readyIds.includes(participant.id) ? (
+                    <span className="text-green-400 text-xs font-semibold flex items-center gap-1" data-testid="participant-ready">
+                      <CheckCircle2 className="w-3.5 h-3.5" />
+                      Ready
+                    </span>
+                  ) : (
+                    <span className="text-slate-400 text-xs flex items-center gap-1" data-testid="participant-not-ready">
+                      <Clock className="w-3.5 h-3.5" />
+                      Not yet
+                    </span>
+                  )
+                )}
+                {canManageRoles && participant.id !== selfId && (
+                  <RoleMenu participant={participant} onSetRole={onSetRole} onTransferHost={onTransferHost} />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+};
+export default ParticipantList;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Tooltip, TooltipContent, TooltipTrigger } from '@/components/ui/tooltip';
+
+/**
+ * Explains why a control is disabled
+ *
+ * Disabled buttons don't fire pointer events, so the tooltip hangs off a
+ * wrapper span instead. When the user is allowed, children render as-is.
+ *
+ * @param {Object} props
+ * @param {boolean} props.allowed
+ * @param {string} props.reason - Shown on hover/focus while not allowed
+ * @param {string} [props.className] - For the wrapper (e.g. to keep a flex layout)
+ */
+const PermissionTooltip = ({ allowed, reason, className, children }) => {
+  if (allowed) {
+    return children;
+  }
+
+  return (
+    <Tooltip>
+      <TooltipTrigger asChild>
+        <span tabIndex={0} className={className} data-testid="permission-tooltip-trigger">
+          {children}
+        </span>
+      </TooltipTrigger>
+      <TooltipContent>{reason}</TooltipContent>
+    </Tooltip>
+  );
+};
+export default PermissionTooltip;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Play, Pause, SkipBack, SkipForward } from 'lucide-react';
+import PermissionTooltip from '@/components/PermissionTooltip';
+import { useRegisterCommands } from '@/hooks/use-commands';
+
+const SKIP_SECONDS = 10;
+
+/**
+ * Back / play-pause / forward buttons for the shared session
+ *
+ * Also owns the play-pause and "Sync to session" commands. Syncing is local,
+ * so it stays available to viewers who can't control playback.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isPlaying
+ * @param {() => void} props.onPlay
+ * @param {() => void} props.onPause
+ * @param {(seconds: number) => void} props.onSeekBy - Positive = forward
+ * @param {() => void} props.onSync
+ * @param {boolean} [props.canControl=true] - false disables the buttons
+ * @param {string} [props.disabledReason] - Tooltip explaining why they're disabled
+ */
+const PlaybackControls = ({ isPlaying, onPlay, onPause, onSeekBy, onSync, canControl = true, disabledReason }) => {
+  useRegisterCommands([
+    {
+      id: 'playback.toggle',
+      label: isPlaying ? 'Pause' : 'Play',
+      group: 'Playback',
+      keywords: ['play', 'pause', 'resume'],
+      shortcut: 'Space',
+      disabled: !canControl,
+      run: isPlaying ? onPause : onPlay
+    },
+    {
+      id: 'playback.sync',
+      label: 'Sync to session',
+      group: 'Playback',
+      keywords: ['resync', 'catch up'],
+      run: onSync
+    }
+  ]);
+
+  return (
+    <PermissionTooltip allowed={canControl} reason={disabledReason} className="flex items-center gap-4">
+      <Button
+        data-testid="seek-backward-btn"
+        onClick={() => onSeekBy(-SKIP_SECONDS)}
+        disabled={!canControl}
+        variant="outline"
+        size="icon"
+        className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+      >
+        <SkipBack className="w-5 h-5" />
+      </Button>
+
+      {isPlaying ? (
+        <Button
+          data-testid="pause-btn"
+          onClick={onPause}
+          disabled={!canControl}
+          size="lg"
+          className="bg-purple-600 hover:bg-purple-700 text-white px-8"
+        >
+          <Pause className="w-6 h-6 mr-2" />
+          Pause
+        </Button>
+      ) : (
+        <Button
+          data-testid="play-btn"
+          onClick={onPlay}
+          disabled={!canControl}
+          size="lg"
+          className="bg-purple-600 hover:bg-purple-700 text-white px-8"
+        >
+          <Play className="w-6 h-6 mr-2" />
+          Play
+        </Button>
+      )}
+
+      <Button
+        data-testid="seek-forward-btn"
+        onClick={() => onSeekBy(SKIP_SECONDS)}
+        disabled={!canControl}
+        variant="outline"
+        size="icon"
+        className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+      >
+        <SkipForward className="w-5 h-5" />
+      </Button>
+    </PermissionTooltip>
+  );
+};
+
+export default PlaybackControls;
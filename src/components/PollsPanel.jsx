@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { BarChart3, Check, FastForward, Plus, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import CreatePollDialog from '@/components/CreatePollDialog';
+import { useRegisterCommands } from '@/hooks/use-commands';
+
+/**
+ * One poll: vote buttons until we've voted, live results throughout
+ */
+const PollCard = ({ poll, selfId, canModerate, onVote, onClose }) => {
+  const isOpen = poll.closedAt === null;
+  const hasVoted = poll.voters.includes(selfId);
+  const canVote = isOpen && !hasVoted;
+  const total = poll.options.reduce((sum, option) => sum + option.votes, 0);
+  // Anyone can start a vote to skip, so only moderators end one early
+  const canClose = canModerate || (poll.kind !== 'skip' && poll.createdBy === selfId);
+
+  return (
+    <li className={cn('p-3 rounded-lg bg-white/5 space-y-2', !isOpen && 'opacity-60')} data-testid="poll">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-white text-sm font-semibold break-words">{poll.question}</p>
+          <p className="text-slate-400 text-xs">
+            {poll.createdBy === selfId ? 'You' : poll.creatorName} · {total} {total === 1 ? 'vote' : 'votes'}
+            {isOpen && poll.kind === 'skip' && ` · skips at ${poll.needed}`}
+            {!isOpen && ` · ${poll.outcome}`}
+          </p>
+        </div>
+        {isOpen && canClose && (
+          <Button
+            data-testid="poll-close-btn"
+            onClick={() => onClose(poll.id)}
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7 shrink-0 text-slate-400 hover:text-white hover:bg-white/10"
+            aria-label="Close poll"
+          >
+            <X className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+      <ul className="space-y-1.5">
+        {poll.options.map((option, index) => (
+          <li key={index}>
+            <button
+              type="button"
+              onClick={() => onVote(poll.id, index)}
+              disabled={!canVote}
+              className={cn(
+                'relative w-full overflow-hidden rounded-md border border-white/10 px-3 py-1.5 text-left text-sm text-white',
+                canVote && 'hover:border-purple-400 cursor-pointer'
+              )}
+              data-testid="poll-option"
+            >
+              <span
+                className="absolute inset-y-0 left-0 bg-purple-600/40 transition-[width] duration-300"
+                style={{ width: `${total ? (option.votes / total) * 100 : 0}%` }}
+              />
+              <span className="relative flex items-center justify-between gap-2">
+                <span className="truncate">{option.text}</span>
+                <span className="text-slate-300 text-xs tabular-nums">{option.votes}</span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {isOpen && hasVoted && (
+        <p className="text-green-400 text-xs flex items-center gap-1">
+          <Check className="w-3 h-3" />
+          You voted
+        </p>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Room polls and vote to skip
+ *
+ * Anyone can start a poll, or a vote to skip, even in rooms where only
+ * the host controls playback. A vote to skip is a poll about the current
+ * video that skips it (to the next queued video, or to nothing) once
+ * enough of the room agrees; the share is a room setting.
+ *
+ * @param {Object} props
+ * @param {Array} props.polls - From usePolls
+ * @param {string} props.selfId - Our clientId
+ * @param {boolean} props.canModerate - Host or moderator (can close any poll)
+ * @param {boolean} props.hasVideo
+ * @param {number} props.skipThreshold - Room setting, 0-1
+ * @param {(question: string, options: string[]) => void} props.onCreate
+ * @param {() => void} props.onStartSkip
+ * @param {(pollId: string, optionIndex: number) => void} props.onVote
+ * @param {(pollId: string) => void} props.onClose
+ */
+const PollsPanel = ({
+  polls,
+  selfId,
+  canModerate,
+  hasVideo,
+  skipThreshold,
+  onCreate,
+  onStartSkip,
+  onVote,
+  onClose
+}) => {
+  const [isCreateOpen, setIsCreateOpen] = useState(false);
+  const isSkipOpen = polls.some((poll) => poll.kind === 'skip' && poll.closedAt === null);
+  const skipDisabled = !hasVideo || isSkipOpen;
+
+  useRegisterCommands([
+    { id: 'poll.create', label: 'Start a poll', group: 'Room', keywords: ['vote', 'question'], run: () => setIsCreateOpen(true) },
+    {
+      id: 'poll.skip',
+      label: 'Vote to skip this video',
+      group: 'Playback',
+      keywords: ['next', 'poll'],
+      disabled: skipDisabled,
+      run: onStartSkip
+    }
+  ]);
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="polls-card">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 gap-2">
+        <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Polls</CardTitle>
+        <div className="flex items-center gap-2">
+          <Button
+            data-testid="vote-skip-btn"
+            onClick={onStartSkip}
+            disabled={skipDisabled}
+            variant="outline"
+            size="sm"
+            className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+            title={`Skips when ${Math.round(skipThreshold * 100)}% of viewers agree`}
+          >
+            <FastForward className="w-4 h-4 mr-1" />
+            Vote to skip
+          </Button>
+          <Button
+            data-testid="new-poll-btn"
+            onClick={() => setIsCreateOpen(true)}
+            variant="ghost"
+            size="sm"
+            className="text-purple-300 hover:text-white hover:bg-white/10"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New poll
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {polls.length === 0 ? (
+          <p className="text-slate-400 text-sm flex items-center gap-2">
+            <BarChart3 className="w-4 h-4" />
+            No polls yet. Ask the room something, or vote to skip what's playing.
+          </p>
+        ) : (
+          <ul className="space-y-3" data-testid="poll-list">
+            {polls.map((poll) => (
+              <PollCard
+                key={poll.id}
+                poll={poll}
+                selfId={selfId}
+                canModerate={canModerate}
+                onVote={onVote}
+                onClose={onClose}
+              />
+            ))}
+          </ul>
+        )}
+      </CardContent>
+      <CreatePollDialog open={isCreateOpen} onOpenChange={setIsCreateOpen} onCreate={onCreate} />
+    </Card>
+  );
+};
+export default PollsPanel;
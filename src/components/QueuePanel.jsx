@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { GripVertical, ListPlus, Film, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { SOURCE_TYPES, describeVideo, parseVideoUrl } from '@/components/players';
+import PermissionTooltip from '@/components/PermissionTooltip';
+import { useRegisterCommands } from '@/hooks/use-commands';
+
+/**
+ * Shared up-next queue
+ *
+ * Items are reordered by dragging (native HTML5 drag and drop). Every change
+ * goes to the server and comes back in session:state, so the list always
+ * shows the shared order rather than an optimistic local one.
+ *
+ * @param {Object} props
+ * @param {Array} props.queue - Items from session state
+ * @param {(url: string) => string|null} props.onAdd - Returns why the URL was rejected, if it was
+ * @param {(itemId: string) => void} props.onRemove
+ * @param {(itemId: string, toIndex: number) => void} props.onMove
+ * @param {boolean} [props.canEdit=true] - false shows the queue read-only
+ * @param {string} [props.disabledReason] - Tooltip explaining why it's read-only
+ */
+const QueuePanel = ({ queue, onAdd, onRemove, onMove, canEdit = true, disabledReason }) => {
+  const [queueUrl, setQueueUrl] = useState('');
+  const [error, setError] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  useRegisterCommands([
+    {
+      id: 'queue.add',
+      label: 'Add video to queue',
+      group: 'Queue',
+      keywords: ['up next', 'url'],
+      disabled: !canEdit,
+      input: {
+        placeholder: 'YouTube or .mp4 / .webm URL',
+        validate: (value) => parseVideoUrl(value).error ?? null
+      },
+      run: (url) => setError(onAdd(url))
+    }
+  ]);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const addError = onAdd(queueUrl);
+    setError(addError);
+    if (!addError) {
+      setQueueUrl('');
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    const fromIndex = queue.findIndex((item) => item.id === draggedId);
+    if (fromIndex !== -1 && fromIndex !== index) {
+      onMove(draggedId, index);
+    }
+    handleDragEnd();
+  };
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="queue-card">
+      <CardHeader>
+        <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+          Up Next {queue.length > 0 && <span className="text-slate-400 text-base font-normal">({queue.length})</span>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <PermissionTooltip allowed={canEdit} reason={disabledReason} className="block">
+          <form onSubmit={handleAdd} className="flex gap-3">
+            <Input
+              data-testid="queue-url-input"
+              disabled={!canEdit}
+              type="text"
+              value={queueUrl}
+              onChange={(e) => {
+                setQueueUrl(e.target.value);
+                setError(null);
+              }}
+              aria-invalid={!!error}
+              placeholder="Add a video to the queue"
+              className="flex-1 bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+            />
+            <Button
+              data-testid="queue-add-btn"
+              type="submit"
+              disabled={!canEdit}
+              variant="outline"
+              className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+              <ListPlus className="w-5 h-5 mr-2" />
+              Queue
+            </Button>
+          </form>
+          {error && <p className="text-red-400 text-sm mt-2" data-testid="queue-url-error">{error}</p>}
+        </PermissionTooltip>
+
+        {queue.length === 0 ? (
+          <p className="text-slate-400 text-sm">The queue is empty. Queued videos play automatically when the current one ends.</p>
+        ) : (
+          <ol className="space-y-2" data-testid="queue-list">
+            {queue.map((item, index) => (
+              <li
+                key={item.id}
+                draggable={canEdit}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  setDraggedId(item.id);
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDropIndex(index);
+                }}
+                onDrop={(e) => handleDrop(e, index)}
+                onDragEnd={handleDragEnd}
+                className={cn(
+                  'flex items-center gap-3 p-2 rounded-lg bg-white/5 border border-transparent',
+                  canEdit && 'cursor-grab',
+                  draggedId === item.id && 'opacity-50',
+                  dropIndex === index && draggedId !== item.id && 'border-purple-400'
+                )}
+                data-testid="queue-item"
+              >
+                {canEdit && <GripVertical className="w-4 h-4 text-slate-500 shrink-0" />}
+                <span className="text-slate-400 text-sm w-5 text-right">{index + 1}</span>
+                {item.sourceType === SOURCE_TYPES.YOUTUBE ? (
+                  <img
+                    src={`https://i.ytimg.com/vi/${item.videoId}/default.jpg`}
+                    alt=""
+                    className="w-16 h-9 object-cover rounded"
+                  />
+                ) : (
+                  <div className="w-16 h-9 rounded bg-black/40 flex items-center justify-center">
+                    <Film className="w-4 h-4 text-slate-400" />
+                  </div>
+                )}
+                <span className="flex-1 text-white text-sm truncate" title={item.url}>{describeVideo(item.videoId, item.sourceType)}</span>
+                {canEdit && (
+                  <Button
+                    data-testid="queue-remove-btn"
+                    onClick={() => onRemove(item.id)}
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8 text-slate-400 hover:text-white hover:bg-white/10"
+                    aria-label="Remove from queue"
+                  >
+                    <X className="w-4 h-4" />
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+export default QueuePanel;
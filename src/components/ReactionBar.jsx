@@ -0,0 +1,45 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Eye, EyeOff } from 'lucide-react';
+import { REACTIONS } from '@/lib/protocol.mjs';
+
+/**
+ * Emoji buttons that send a reaction to the room, plus this viewer's
+ * "hide reactions" toggle
+ *
+ * @param {Object} props
+ * @param {(reaction: string) => void} props.onReact
+ * @param {boolean} props.hidden
+ * @param {(hidden: boolean) => void} props.onHiddenChange
+ * @param {boolean} [props.disabled] - Offline, rate-limited or unsupported
+ */
+const ReactionBar = ({ onReact, hidden, onHiddenChange, disabled }) => (
+  <div className="flex flex-wrap items-center justify-center gap-1" data-testid="reaction-bar">
+    {Object.entries(REACTIONS).map(([name, emoji]) => (
+      <Button
+        key={name}
+        data-testid={`reaction-${name}-btn`}
+        onClick={() => onReact(name)}
+        disabled={disabled}
+        variant="ghost"
+        size="icon"
+        className="text-xl hover:bg-white/10"
+        aria-label={`React with ${name}`}
+      >
+        {emoji}
+      </Button>
+    ))}
+    <Button
+      data-testid="hide-reactions-btn"
+      onClick={() => onHiddenChange(!hidden)}
+      variant="ghost"
+      size="sm"
+      className="ml-2 text-slate-300 hover:text-white hover:bg-white/10"
+      aria-pressed={hidden}
+    >
+      {hidden ? <EyeOff className="w-4 h-4 mr-1" /> : <Eye className="w-4 h-4 mr-1" />}
+      {hidden ? 'Reactions hidden' : 'Hide reactions'}
+    </Button>
+  </div>
+);
+export default ReactionBar;
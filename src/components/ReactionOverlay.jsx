@@ -0,0 +1,35 @@
+import React from 'react';
+import { REACTIONS } from '@/lib/protocol.mjs';
+import { REACTION_DURATION } from '@/hooks/use-reactions';
+
+/**
+ * Layer over the video: blocks direct clicks on the player (playback only
+ * changes through synced controls) and floats everyone's reactions
+ *
+ * @param {Object} props
+ * @param {Array} props.reactions - From useReactions
+ * @param {string} props.selfId - Our clientId
+ */
+const ReactionOverlay = ({ reactions, selfId }) => (
+  <div
+    className="absolute inset-0 pointer-events-auto cursor-default overflow-hidden"
+    onClick={(e) => e.preventDefault()}
+    style={{ zIndex: 10 }}
+    data-testid="reaction-overlay"
+  >
+    {reactions.map((reaction) => (
+      <div
+        key={reaction.id}
+        className="absolute flex flex-col items-center animate-reaction-float pointer-events-none select-none"
+        style={{ left: `${reaction.left}%`, animationDuration: `${REACTION_DURATION}ms` }}
+        data-testid="floating-reaction"
+      >
+        <span className="text-4xl drop-shadow-lg" aria-hidden="true">{REACTIONS[reaction.reaction]}</span>
+        <span className="mt-1 px-2 py-0.5 rounded-full bg-black/50 text-white text-xs whitespace-nowrap">
+          {reaction.senderId === selfId ? 'You' : reaction.name}
+        </span>
+      </div>
+    ))}
+  </div>
+);
+export default ReactionOverlay;
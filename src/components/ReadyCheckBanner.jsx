@@ -0,0 +1,86 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { CheckCircle2, Play, Users, X } from 'lucide-react';
+
+/**
+ * Ready check prompt, shown to everyone until the countdown starts
+ *
+ * Viewers confirm here; the host also sees who's ready and can start the
+ * countdown without waiting, or call the check off.
+ *
+ * @param {Object} props
+ * @param {Object} props.readyCheck - From useReadyCheck
+ * @param {Array} props.participants - From usePresence
+ * @param {string} props.selfId - Our clientId
+ * @param {boolean} props.isHost
+ * @param {() => void} props.onConfirm
+ * @param {() => void} props.onOverride
+ * @param {() => void} props.onCancel
+ */
+const ReadyCheckBanner = ({ readyCheck, participants, selfId, isHost, onConfirm, onOverride, onCancel }) => {
+  const connected = participants.filter((p) => p.connection === 'connected');
+  const readyCount = connected.filter((p) => readyCheck.confirmed.includes(p.id)).length;
+  const isSelfReady = readyCheck.confirmed.includes(selfId);
+  const starter = readyCheck.startedBy === selfId
+    ? 'You'
+    : participants.find((p) => p.id === readyCheck.startedBy)?.name || 'The host';
+
+  return (
+    <div
+      className="mb-4 p-4 bg-purple-500/20 border border-purple-400/40 rounded-lg flex flex-wrap items-center justify-between gap-3"
+      data-testid="ready-check-banner"
+      role="alertdialog"
+      aria-label="Ready check"
+    >
+      <div className="flex items-center gap-3">
+        <Users className="w-5 h-5 text-purple-300" />
+        <div>
+          <p className="text-white font-semibold">{starter} started a ready check</p>
+          <p className="text-slate-300 text-sm" data-testid="ready-count">
+            {readyCount} of {connected.length} ready. Playback starts when everyone is.
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        {isSelfReady ? (
+          <span className="text-green-400 text-sm font-semibold flex items-center gap-1.5">
+            <CheckCircle2 className="w-4 h-4" />
+            You're ready
+          </span>
+        ) : (
+          <Button
+            data-testid="ready-confirm-btn"
+            onClick={onConfirm}
+            className="bg-green-600 hover:bg-green-700 text-white font-semibold"
+          >
+            <CheckCircle2 className="w-4 h-4 mr-2" />
+            I'm ready
+          </Button>
+        )}
+        {isHost && (
+          <>
+            <Button
+              data-testid="ready-override-btn"
+              onClick={onOverride}
+              className="bg-purple-600 hover:bg-purple-700 text-white"
+            >
+              <Play className="w-4 h-4 mr-2" />
+              Start now
+            </Button>
+            <Button
+              data-testid="ready-cancel-btn"
+              onClick={onCancel}
+              variant="ghost"
+              size="icon"
+              className="text-slate-300 hover:text-white hover:bg-white/10"
+              aria-label="Cancel ready check"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+export default ReadyCheckBanner;
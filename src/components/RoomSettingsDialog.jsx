@@ -0,0 +1,92 @@
+import React from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+// Host-editable switches, in display order
+const SETTINGS = [
+  {
+    key: 'hostOnlyControl',
+    label: 'Only hosts control playback',
+    description: 'Viewers can watch and chat, but only the host and moderators can play, pause, seek, change the video or edit the queue.'
+  },
+  {
+    key: 'holdForBuffering',
+    label: 'Wait for buffering viewers',
+    description: 'If someone stalls for more than a second, pause everyone until they catch up (for up to 10 seconds).'
+  }
+];
+
+// Share of connected viewers a vote to skip needs
+const SKIP_THRESHOLDS = [
+  { value: 0.25, label: 'A quarter' },
+  { value: 0.5, label: 'Half' },
+  { value: 2 / 3, label: 'Two thirds' },
+  { value: 1, label: 'Everyone' }
+];
+
+/**
+ * Room settings. Everyone can see them; only the host can change them.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {Object} props.settings - From useRoomSettings
+ * @param {boolean} props.canEdit - We're the host
+ * @param {(patch: Object) => void} props.onUpdate
+ */
+const RoomSettingsDialog = ({ open, onOpenChange, settings, canEdit, onUpdate }) => (
+  <Dialog open={open} onOpenChange={onOpenChange}>
+    <DialogContent className="bg-slate-900 border-white/20 text-white" data-testid="room-settings-dialog">
+      <DialogHeader>
+        <DialogTitle style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Room settings</DialogTitle>
+        <DialogDescription className="text-slate-400">
+          {canEdit ? 'Changes apply to everyone in the room.' : 'Only the host can change these.'}
+        </DialogDescription>
+      </DialogHeader>
+
+      {SETTINGS.map(({ key, label, description }) => (
+        <div key={key} className="flex items-start justify-between gap-4">
+          <div className="space-y-1">
+            <Label htmlFor={`setting-${key}`} className="text-white">{label}</Label>
+            <p className="text-slate-400 text-sm">{description}</p>
+          </div>
+          <Switch
+            id={`setting-${key}`}
+            data-testid={`setting-${key}-switch`}
+            checked={settings[key]}
+            disabled={!canEdit}
+            onCheckedChange={(checked) => onUpdate({ [key]: checked })}
+          />
+        </div>
+      ))}
+
+      <div className="flex items-start justify-between gap-4">
+        <div className="space-y-1">
+          <Label htmlFor="setting-skipThreshold" className="text-white">Votes needed to skip</Label>
+          <p className="text-slate-400 text-sm">How much of the room has to agree before a vote to skip moves on to the next video.</p>
+        </div>
+        <Select
+          value={String(settings.skipThreshold)}
+          onValueChange={(value) => onUpdate({ skipThreshold: Number(value) })}
+          disabled={!canEdit}
+        >
+          <SelectTrigger
+            id="setting-skipThreshold"
+            data-testid="setting-skipThreshold-select"
+            className="w-32 shrink-0 bg-white/10 border-white/20 text-white"
+          >
+            <SelectValue placeholder={`${Math.round(settings.skipThreshold * 100)}%`} />
+          </SelectTrigger>
+          <SelectContent className="bg-slate-900 border-white/20 text-white">
+            {SKIP_THRESHOLDS.map(({ value, label }) => (
+              <SelectItem key={value} value={String(value)}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+    </DialogContent>
+  </Dialog>
+);
+export default RoomSettingsDialog;
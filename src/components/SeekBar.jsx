@@ -0,0 +1,126 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Slider } from '@/components/ui/slider';
+import { cn } from '@/lib/utils';
+import { formatTime, parseTime } from '@/lib/format-time';
+import { useRegisterCommands } from '@/hooks/use-commands';
+
+const POLL_INTERVAL = 250; // ms between player position reads
+
+/**
+ * Scrubbable progress bar with elapsed / duration display
+ *
+ * The player position is polled rather than pushed (neither adapter emits
+ * time updates we can rely on). Dragging only moves the thumb locally; the
+ * single seek is sent when the drag is committed, so scrubbing doesn't
+ * flood the room with seeks. Hovering previews the time under the pointer.
+ *
+ * Markers (timestamped comments) sit above the track; clicking one seeks
+ * to it like any other seek. The palette's "Seek to timestamp" is registered
+ * here too.
+ *
+ * @param {Object} props
+ * @param {() => ({currentTime: number, duration: number}|null)} props.getPosition
+ * @param {(seconds: number) => void} props.onSeek
+ * @param {boolean} [props.disabled]
+ * @param {Array<{id: string, time: number, label: string}>} [props.markers]
+ */
+const SeekBar = ({ getPosition, onSeek, disabled = false, markers = [] }) => {
+  const [position, setPosition] = useState({ currentTime: 0, duration: 0 });
+  const [dragTime, setDragTime] = useState(null); // Set while dragging
+  const [hover, setHover] = useState(null); // { time, x } while hovering
+  const trackRef = useRef(null);
+
+  useRegisterCommands([
+    {
+      id: 'playback.seek',
+      label: 'Seek to timestamp',
+      group: 'Playback',
+      keywords: ['jump', 'go to', 'time'],
+      disabled,
+      input: {
+        placeholder: 'Timestamp, e.g. 1:30 or 1h2m3s',
+        validate: (value) => (parseTime(value) === null ? 'Enter a time like 90, 1:30 or 1h2m3s' : null)
+      },
+      run: (value) => onSeek(parseTime(value))
+    }
+  ]);
+
+  useEffect(() => {
+    const poll = () => {
+      const next = getPosition();
+      if (next) {
+        setPosition(next);
+      }
+    };
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [getPosition]);
+
+  const { duration } = position;
+  const shownTime = dragTime ?? position.currentTime;
+
+  const handlePointerMove = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    setHover({ time: fraction * duration, x: fraction * rect.width });
+  };
+
+  const handleCommit = ([time]) => {
+    setDragTime(null);
+    onSeek(time);
+  };
+
+  return (
+    <div className="flex items-center gap-3" data-testid="seek-bar">
+      <span className="text-slate-300 text-xs font-mono tabular-nums w-14 text-right" data-testid="elapsed-time">
+        {formatTime(shownTime)}
+      </span>
+      <div
+        ref={trackRef}
+        className="relative flex-1 py-2"
+        onPointerMove={duration ? handlePointerMove : undefined}
+        onPointerLeave={() => setHover(null)}
+      >
+        {hover && !disabled && (
+          <span
+            className="absolute bottom-full mb-1 -translate-x-1/2 px-2 py-0.5 rounded bg-black/80 text-white text-xs font-mono pointer-events-none"
+            style={{ left: hover.x }}
+            data-testid="seek-preview"
+          >
+            {formatTime(hover.time)}
+          </span>
+        )}
+        {duration > 0 && markers.filter(({ time }) => time <= duration).map((marker) => (
+          <button
+            key={marker.id}
+            type="button"
+            onClick={() => onSeek(marker.time)}
+            disabled={disabled}
+            className="absolute -top-1 z-10 w-3 h-3 -translate-x-1/2 flex items-center justify-center enabled:cursor-pointer group"
+            style={{ left: `${(marker.time / duration) * 100}%` }}
+            title={`${formatTime(marker.time)} ${marker.label}`}
+            aria-label={`Seek to comment at ${formatTime(marker.time)}`}
+            data-testid="seek-marker"
+          >
+            <span className="w-1.5 h-1.5 rounded-full bg-amber-400 group-enabled:group-hover:scale-150 transition-transform" />
+          </button>
+        ))}
+        <Slider
+          value={[Math.min(shownTime, duration)]}
+          max={duration || 1}
+          step={0.1}
+          disabled={disabled || !duration}
+          onValueChange={([time]) => setDragTime(time)}
+          onValueCommit={handleCommit}
+          className={cn(!disabled && duration && 'cursor-pointer')}
+          aria-label="Seek"
+        />
+      </div>
+      <span className="text-slate-400 text-xs font-mono tabular-nums w-14" data-testid="duration">
+        {formatTime(duration)}
+      </span>
+    </div>
+  );
+};
+export default SeekBar;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { PLAYBACK_RATES } from '@/lib/protocol.mjs';
+
+/**
+ * Room-wide playback speed (synced, so it needs playback control)
+ *
+ * @param {Object} props
+ * @param {number} props.rate
+ * @param {(rate: number) => void} props.onChange
+ * @param {boolean} [props.disabled]
+ */
+const SpeedSelect = ({ rate, onChange, disabled }) => (
+  <Select value={String(rate)} onValueChange={(value) => onChange(Number(value))} disabled={disabled}>
+    <SelectTrigger
+      data-testid="speed-select"
+      className="w-20 bg-white/10 border-white/20 text-white"
+      aria-label="Playback speed"
+    >
+      <SelectValue />
+    </SelectTrigger>
+    <SelectContent className="bg-slate-900 border-white/20 text-white">
+      {PLAYBACK_RATES.map((option) => (
+        <SelectItem key={option} value={String(option)}>
+          {option}x
+        </SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+export default SpeedSelect;
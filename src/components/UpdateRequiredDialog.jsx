@@ -0,0 +1,48 @@
+import React from 'react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from '@/components/ui/alert-dialog';
+import { RefreshCw } from 'lucide-react';
+
+/**
+ * "Please refresh" prompt when the backend and this (probably cached)
+ * client can't talk to each other (see lib/protocol-handshake.js)
+ *
+ * It can't be dismissed: an incompatible client would only misbehave.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {string|null} props.reason - Technical detail, shown small
+ */
+const UpdateRequiredDialog = ({ open, reason }) => (
+  <AlertDialog open={open}>
+    <AlertDialogContent className="bg-slate-900 border-white/20 text-white" data-testid="update-required-dialog">
+      <AlertDialogHeader>
+        <AlertDialogTitle style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+          A new version is available
+        </AlertDialogTitle>
+        <AlertDialogDescription className="text-slate-400">
+          Watch Party has been updated and this page is out of date. Please refresh to keep watching in sync.
+        </AlertDialogDescription>
+      </AlertDialogHeader>
+      {reason && <p className="text-xs font-mono text-slate-500">{reason}</p>}
+      <AlertDialogFooter>
+        <AlertDialogAction
+          data-testid="refresh-page-btn"
+          onClick={() => window.location.reload()}
+          className="bg-purple-600 hover:bg-purple-700 text-white"
+        >
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </AlertDialogAction>
+      </AlertDialogFooter>
+    </AlertDialogContent>
+  </AlertDialog>
+);
+export default UpdateRequiredDialog;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { parseVideoUrl } from '@/components/players';
+import PermissionTooltip from '@/components/PermissionTooltip';
+import { useRegisterCommands } from '@/hooks/use-commands';
+
+/**
+ * "Add Video URL" box: changes the video for everyone
+ *
+ * @param {Object} props
+ * @param {(url: string) => string|null} props.onSubmit - Returns why the URL was rejected, if it was
+ * @param {boolean} [props.canSubmit=true] - false disables the box
+ * @param {string} [props.disabledReason] - Tooltip explaining why it's disabled
+ * @param {React.Ref} [props.inputRef] - Focused by the "/" shortcut
+ */
+const VideoUrlForm = ({ onSubmit, canSubmit = true, disabledReason, inputRef }) => {
+  const [videoUrl, setVideoUrl] = useState('');
+  const [error, setError] = useState(null);
+
+  useRegisterCommands([
+    {
+      id: 'video.load',
+      label: 'Load video URL',
+      group: 'Playback',
+      keywords: ['change', 'youtube', 'open'],
+      disabled: !canSubmit,
+      input: {
+        placeholder: 'YouTube or .mp4 / .webm URL',
+        validate: (value) => parseVideoUrl(value).error ?? null
+      },
+      run: (url) => setError(onSubmit(url))
+    }
+  ]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const submitError = onSubmit(videoUrl);
+    setError(submitError);
+    if (!submitError) {
+      setVideoUrl('');
+    }
+  };
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="video-input-card">
+      <CardHeader>
+        <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Add Video URL</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <PermissionTooltip allowed={canSubmit} reason={disabledReason} className="block">
+          <form onSubmit={handleSubmit} className="flex gap-3">
+            <Input
+              ref={inputRef}
+              data-testid="video-url-input"
+              disabled={!canSubmit}
+              type="text"
+              value={videoUrl}
+              onChange={(e) => {
+                setVideoUrl(e.target.value);
+                setError(null);
+              }}
+              aria-invalid={!!error}
+              placeholder="Paste a YouTube URL or a direct .mp4 / .webm link"
+              className="flex-1 bg-white/5 border-white/20 text-white placeholder:text-slate-400"
+            />
+            <Button
+              data-testid="submit-video-btn"
+              type="submit"
+              disabled={!canSubmit}
+              className="bg-purple-600 hover:bg-purple-700 text-white"
+            >
+              Load Video
+            </Button>
+          </form>
+        </PermissionTooltip>
+        {error && <p className="text-red-400 text-sm mt-2" data-testid="video-url-error">{error}</p>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VideoUrlForm;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Slider } from '@/components/ui/slider';
+import { Volume1, Volume2, VolumeX } from 'lucide-react';
+
+/**
+ * Mute button and volume slider (this viewer only, never synced)
+ *
+ * @param {Object} props
+ * @param {number} props.volume - 0-100
+ * @param {boolean} props.muted
+ * @param {(volume: number) => void} props.onVolumeChange
+ * @param {() => void} props.onToggleMute
+ */
+const VolumeControl = ({ volume, muted, onVolumeChange, onToggleMute }) => {
+  const isSilent = muted || volume === 0;
+  const Icon = isSilent ? VolumeX : volume < 50 ? Volume1 : Volume2;
+
+  return (
+    <div className="flex items-center gap-2" data-testid="volume-control">
+      <Button
+        data-testid="mute-btn"
+        onClick={onToggleMute}
+        variant="ghost"
+        size="icon"
+        className="text-slate-300 hover:text-white hover:bg-white/10"
+        aria-label={muted ? 'Unmute' : 'Mute'}
+      >
+        <Icon className="w-5 h-5" />
+      </Button>
+      <Slider
+        data-testid="volume-slider"
+        value={[isSilent ? 0 : volume]}
+        max={100}
+        step={1}
+        onValueChange={([next]) => onVolumeChange(next)}
+        className="w-24 cursor-pointer"
+        aria-label="Volume"
+      />
+    </div>
+  );
+};
+export default VolumeControl;
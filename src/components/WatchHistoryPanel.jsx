@@ -0,0 +1,160 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+import { Download, FileJson, FileText, Film, History, ListPlus, RotateCcw, Trash2 } from 'lucide-react';
+import { formatTime } from '@/lib/format-time';
+import { SOURCE_TYPES, describeVideo } from '@/components/players';
+import PermissionTooltip from '@/components/PermissionTooltip';
+
+/**
+ * How far we got, as "12:30 / 45:00" when the length is known
+ */
+const describeProgress = ({ furthest, duration }) => (
+  duration ? `${formatTime(furthest)} / ${formatTime(duration)}` : formatTime(furthest)
+);
+
+/**
+ * Videos played in this room, newest first
+ *
+ * History lives in this browser's localStorage (see hooks/use-watch-history.js),
+ * so it only covers what happened while we were here. Replay loads an entry
+ * for everyone from the start; Re-queue adds it to the end of Up Next.
+ *
+ * @param {Object} props
+ * @param {Array} props.entries - From useWatchHistory
+ * @param {string|null} props.currentEntryId - The entry that's playing now
+ * @param {(entry: Object) => void} props.onReplay
+ * @param {(entry: Object) => void} props.onRequeue
+ * @param {boolean} props.canControl
+ * @param {string} [props.disabledReason]
+ * @param {(format: 'json'|'markdown') => void} props.onExport
+ * @param {() => void} props.onClear
+ */
+const WatchHistoryPanel = ({
+  entries,
+  currentEntryId,
+  onReplay,
+  onRequeue,
+  canControl,
+  disabledReason,
+  onExport,
+  onClear
+}) => (
+  <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="history-card">
+    <CardHeader className="flex flex-row items-center justify-between space-y-0">
+      <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>
+        History {entries.length > 0 && <span className="text-slate-400 text-base font-normal">({entries.length})</span>}
+      </CardTitle>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button
+            data-testid="history-export-btn"
+            disabled={!entries.length}
+            variant="ghost"
+            size="sm"
+            className="text-slate-300 hover:text-white hover:bg-white/10"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            Export
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuItem data-testid="history-export-json-item" onSelect={() => onExport('json')}>
+            <FileJson />
+            JSON
+          </DropdownMenuItem>
+          <DropdownMenuItem data-testid="history-export-markdown-item" onSelect={() => onExport('markdown')}>
+            <FileText />
+            Markdown
+          </DropdownMenuItem>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem data-testid="history-clear-item" onSelect={onClear} className="text-red-500 focus:text-red-500">
+            <Trash2 />
+            Clear history
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+    </CardHeader>
+    <CardContent>
+      {entries.length === 0 ? (
+        <p className="text-slate-400 text-sm flex items-center gap-2">
+          <History className="w-4 h-4" />
+          Videos played in this room show up here.
+        </p>
+      ) : (
+        <ol className="space-y-2" data-testid="history-list">
+          {entries.map((entry) => (
+            <li key={entry.id} className="flex items-center gap-3 p-2 rounded-lg bg-white/5" data-testid="history-item">
+              {entry.sourceType === SOURCE_TYPES.YOUTUBE ? (
+                <img
+                  src={`https://i.ytimg.com/vi/${entry.videoId}/default.jpg`}
+                  alt=""
+                  className="w-16 h-9 object-cover rounded shrink-0"
+                />
+              ) : (
+                <div className="w-16 h-9 rounded bg-black/40 flex items-center justify-center shrink-0">
+                  <Film className="w-4 h-4 text-slate-400" />
+                </div>
+              )}
+              <div className="flex-1 min-w-0 space-y-1">
+                <p className="text-white text-sm truncate" title={entry.title || entry.videoId}>
+                  {entry.title || describeVideo(entry.videoId, entry.sourceType)}
+                </p>
+                <p className="text-slate-400 text-xs truncate">
+                  {entry.id === currentEntryId ? 'Playing now' : format(entry.playedAt, 'MMM d, HH:mm')}
+                  {entry.addedBy && ` · added by ${entry.addedBy}`}
+                  {` · ${describeProgress(entry)}`}
+                </p>
+                {entry.duration > 0 && (
+                  <div className="h-1 rounded-full bg-white/10 overflow-hidden">
+                    <div
+                      className="h-full bg-purple-500"
+                      style={{ width: `${Math.min(100, (entry.furthest / entry.duration) * 100)}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+              <PermissionTooltip allowed={canControl} reason={disabledReason}>
+                <Button
+                  data-testid="history-replay-btn"
+                  onClick={() => onReplay(entry)}
+                  disabled={!canControl}
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-slate-400 hover:text-white hover:bg-white/10"
+                  aria-label="Replay for everyone"
+                  title="Replay for everyone"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </Button>
+              </PermissionTooltip>
+              <PermissionTooltip allowed={canControl} reason={disabledReason}>
+                <Button
+                  data-testid="history-requeue-btn"
+                  onClick={() => onRequeue(entry)}
+                  disabled={!canControl}
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-slate-400 hover:text-white hover:bg-white/10"
+                  aria-label="Add to queue"
+                  title="Add to queue"
+                >
+                  <ListPlus className="w-4 h-4" />
+                </Button>
+              </PermissionTooltip>
+            </li>
+          ))}
+        </ol>
+      )}
+    </CardContent>
+  </Card>
+);
+export default WatchHistoryPanel;
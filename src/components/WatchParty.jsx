@@ -1,195 +1,210 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-import { Play, Pause, SkipBack, SkipForward, Users } from 'lucide-react';
+import {
+  Play, Users, Link2, ArrowLeft, Settings, Maximize, Keyboard, ListChecks
+} from 'lucide-react';
 import { toast } from 'sonner';
+import { createSyncEngine } from '@/lib/sync-engine';
+import { createSocketTransport } from '@/lib/socket-transport';
+import { createConnectionManager, CONNECTION_STATUS } from '@/lib/connection-manager';
+import { createProtocolHandshake, HANDSHAKE_STATUS } from '@/lib/protocol-handshake';
+import { PLAYBACK_RATES } from '@/lib/protocol.mjs';
+import { log, logError } from '@/lib/logger';
+import { getInviteLink } from '@/lib/room-id';
+import { commentsToJson, commentsToMarkdown } from '@/lib/comment-export';
+import { historyToJson, historyToMarkdown } from '@/lib/history-export';
+import { downloadFile } from '@/lib/download';
+import { createPlayerAdapter, parseVideoUrl, toVideoUrl } from '@/components/players';
+import QueuePanel from '@/components/QueuePanel';
+import WatchHistoryPanel from '@/components/WatchHistoryPanel';
+import ChatPanel from '@/components/ChatPanel';
+import ParticipantList from '@/components/ParticipantList';
+import PermissionTooltip from '@/components/PermissionTooltip';
+import RoomSettingsDialog from '@/components/RoomSettingsDialog';
+import ConnectionStatus from '@/components/ConnectionStatus';
+import BufferingBadge from '@/components/BufferingBadge';
+import ReactionOverlay from '@/components/ReactionOverlay';
+import ReactionBar from '@/components/ReactionBar';
+import CommentsPanel from '@/components/CommentsPanel';
+import ReadyCheckBanner from '@/components/ReadyCheckBanner';
+import CountdownOverlay from '@/components/CountdownOverlay';
+import PollsPanel from '@/components/PollsPanel';
+import SeekBar from '@/components/SeekBar';
+import PlaybackControls from '@/components/PlaybackControls';
+import VideoUrlForm from '@/components/VideoUrlForm';
+import SpeedSelect from '@/components/SpeedSelect';
+import VolumeControl from '@/components/VolumeControl';
+import KeyboardShortcutsDialog from '@/components/KeyboardShortcutsDialog';
+import CommandPalette from '@/components/CommandPalette';
+import UpdateRequiredDialog from '@/components/UpdateRequiredDialog';
+import { useChat } from '@/hooks/use-chat';
+import { useReactions } from '@/hooks/use-reactions';
+import { useComments } from '@/hooks/use-comments';
+import { useReadyCheck } from '@/hooks/use-ready-check';
+import { usePolls } from '@/hooks/use-polls';
+import { useWatchHistory } from '@/hooks/use-watch-history';
+import { usePresence } from '@/hooks/use-presence';
+import { useRoomSettings } from '@/hooks/use-room-settings';
+import { useAudioPreferences } from '@/hooks/use-audio-preferences';
+import { canControlPlayback, canManageRoom, CONTROL_DENIED_REASON, ROLES } from '@/lib/roles';
+import { getClientId, getClientSecret } from '@/lib/client-id';
+import { useSyncEngineState } from '@/hooks/use-sync-engine';
+import { useConnectionState } from '@/hooks/use-connection-state';
+import { useProtocolHandshake } from '@/hooks/use-protocol-handshake';
+import { useKeyboardShortcuts } from '@/hooks/use-keyboard-shortcuts';
+import { useRegisterCommands } from '@/hooks/use-commands';
 
 // Configuration
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:8001';
-const DEBUG = process.env.NODE_ENV === 'development';
-
-// Conditional logging helper
-const log = (...args) => DEBUG && console.log(...args);
-const logError = (...args) => console.error(...args); // Always log errors
+const SPEED_UNSUPPORTED_REASON = "This server doesn't support changing the speed";
+
+/**
+ * Our presence status, derived from engine state
+ */
+const getPresenceStatus = ({ videoId, needsUserInteraction, isBuffering, isPlaying }) => {
+  if (!videoId) return 'idle';
+  if (needsUserInteraction) return 'awaiting-sync';
+  if (isBuffering) return 'buffering';
+  return isPlaying ? 'playing' : 'paused';
+};
 
-const WatchParty = () => {
+/**
+ * @param {Object} props
+ * @param {string} props.roomId - Room to join (sent in the socket handshake)
+ * @param {string} props.displayName - Our name in the participant list and chat
+ * @param {() => void} props.onChangeName - Return to the join form
+ */
+const WatchParty = ({ roomId, displayName, onChangeName }) => {
   // ============================================================================
   // STATE MANAGEMENT
   // ============================================================================
   
   // Socket and Connection
-  const [socket, setSocket] = useState(null);
+  const [transport, setTransport] = useState(null); // Validated socket (see lib/protocol.mjs)
+  const [engine, setEngine] = useState(null); // Sync engine (owns all playback sync logic)
+  const [connection, setConnection] = useState(null); // Connection manager (status, manual reconnect)
+  const connectionState = useConnectionState(connection);
+  const [handshake, setHandshake] = useState(null); // Protocol version check (see lib/protocol-handshake.js)
+  const handshakeState = useProtocolHandshake(handshake);
   const [userCount, setUserCount] = useState(0);
   
   // Video State
-  const [videoUrl, setVideoUrl] = useState('');
-  const [currentVideoId, setCurrentVideoId] = useState('');
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  
-  // UI State
-  const [playerReadyUI, setPlayerReadyUI] = useState(false); // Triggers UI re-render when player ready
-  const [needsUserInteraction, setNeedsUserInteraction] = useState(false); // Shows "Click to Sync" banner
+  const engineState = useSyncEngineState(engine);
+  const {
+    videoId: currentVideoId,
+    sourceType,
+    isPlaying,
+    playbackRate, // Room-wide speed
+    playerReady: playerReadyUI, // Triggers UI re-render when player ready
+    needsUserInteraction, // Shows "Click to Sync" banner
+    queue,
+    holdingFor, // Who the group is paused for while they buffer
+    addedBy // Name of whoever loaded the current video
+  } = engineState;
   
-  // YouTube API State
-  const [isYouTubeAPIReady, setIsYouTubeAPIReady] = useState(false);
+  // Presence and Chat
+  const [clientId] = useState(getClientId); // Stable across reconnects (sessionStorage); read once
+  const participants = usePresence(transport, getPresenceStatus(engineState));
+  const { messages: chatMessages, sendMessage } = useChat(transport);
+  const [isChatOpen, setIsChatOpen] = useState(true);
+  const {
+    reactions,
+    sendReaction,
+    coolingDown: reactionsCoolingDown, // At the per-user rate limit
+    hidden: reactionsHidden, // Local-only
+    setHidden: setReactionsHidden
+  } = useReactions(transport);
+  const supportsReactions = handshakeState.capabilities.includes('reactions');
+  const { comments, addComment, removeComment } = useComments(transport, currentVideoId); // Per video
+  const supportsComments = handshakeState.capabilities.includes('comments');
   
-  // ============================================================================
-  // REFS (Don't trigger re-renders, avoid stale closures in event handlers)
-  // ============================================================================
+  // Roles and Room Settings
+  const [roomSettings, updateRoomSettings] = useRoomSettings(transport);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const selfRole = participants.find((participant) => participant.id === clientId)?.role;
+  const canControl = canControlPlayback(selfRole, roomSettings); // Server enforces this too
+  const isHost = canManageRoom(selfRole);
+  const supportsRate = handshakeState.capabilities.includes('playback-rate'); // Older backends are 1x only
+  const canChangeRate = canControl && supportsRate;
   
-  // YouTube Player
-  const YT = useRef(null); // YouTube IFrame API reference
-  const playerRef = useRef(null); // YouTube player instance
-  const isPlayerReady = useRef(false); // Player initialization status (ref to avoid stale closures)
+  // Ready Check (host-started; the server and every player start together after the countdown)
+  const {
+    readyCheck,
+    startCheck: handleStartReadyCheck,
+    confirm: handleConfirmReady,
+    override: handleOverrideReady,
+    cancel: handleCancelReady
+  } = useReadyCheck(transport, engine);
+  const supportsReadyCheck = handshakeState.capabilities.includes('ready-check');
+  const isReadyCheckOpen = !!readyCheck.checkId && readyCheck.startsAt === null; // Waiting for confirmations
   
-  // Synchronization State
-  const latestSessionState = useRef(null); // Stores session state when player not ready
-  const lastVersionRef = useRef(0); // Tracks version to ignore stale updates
+  // Polls (anyone can vote; a vote to skip is decided by the server)
+  const { polls, createPoll, startSkipVote, vote, closePoll } = usePolls(transport);
+  const supportsPolls = handshakeState.capabilities.includes('polls');
   
-  // Flags to Prevent Event Loops
-  const isLocalAction = useRef(false); // Marks user's own actions (prevent echo)
-  const applyingServerUpdate = useRef(false); // Marks server update in progress
-  const isRequestingSync = useRef(false); // Marks manual sync request from "Click to Sync"
-  const hasInteracted = useRef(false); // Tracks if user clicked anything (for autoplay policy)
-
-  // ============================================================================
-  // HELPER FUNCTIONS
-  // ============================================================================
-  
-  /**
-   * Computes the actual playback time accounting for network delay
-   * 
-   * Server sends:
-   *   - playbackTimeAtLastEvent: Time when event occurred (e.g., 10.0s)
-   *   - lastEventAt: Server timestamp when event occurred (e.g., T0)
-   *   - serverTime: Current server time when snapshot created (e.g., T0 + 200ms)
-   * 
-   * If playing, we add elapsed time to get current position:
-   *   targetTime = 10.0 + (200ms / 1000) = 10.2s
-   * 
-   * This accounts for network delay and keeps all clients in perfect sync
-   */
-  const computeTargetTime = (snapshot) => {
-    if (!snapshot.isPlaying) {
-      return snapshot.playbackTimeAtLastEvent; // Paused = time is frozen
-    }
-    
-    // Calculate elapsed time since last state change
-    const elapsedMs = snapshot.serverTime - snapshot.lastEventAt;
-    return snapshot.playbackTimeAtLastEvent + (elapsedMs / 1000);
-  };
-
-  /**
-   * Applies a session snapshot to the YouTube player with drift correction
-   * 
-   * Drift correction prevents jittery seeking:
-   *   - If drift < 350ms: Ignore (imperceptible to user)
-   *   - If drift > 350ms: Seek to correct position
-   * 
-   * This balances sync accuracy with smooth playback
-   */
-  const applySnapshot = (snapshot) => {
-    // If player not ready yet, store for later
-    if (!playerRef.current || !isPlayerReady.current) {
-      log('Player not ready, storing snapshot for later');
-      latestSessionState.current = snapshot;
-      return;
+  // Watch History (this browser's record of the room, in localStorage)
+  const { entries: historyEntries, currentEntryId, clearHistory } = useWatchHistory(
+    roomId,
+    { videoId: currentVideoId, sourceType, addedBy },
+    () => {
+      const position = engine?.getPlaybackPosition();
+      return position && { ...position, title: playerRef.current?.getTitle() ?? null };
     }
-    
-    // Mark that we're applying a server update (prevents event loops)
-    applyingServerUpdate.current = true;
-    
-    // Calculate target time accounting for network delay
-    const targetTime = computeTargetTime(snapshot);
-    const currentTime = playerRef.current.getCurrentTime();
-    const drift = Math.abs(targetTime - currentTime);
+  );
+  
+  // Local-only Player Settings (never synced)
+  const [audio, updateAudio] = useAudioPreferences(); // Volume and mute, remembered in localStorage
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
   
-    
-    // Only seek if drift exceeds threshold (reduces jitter)
-    if (drift > 0.35) {
-      log(`Drift ${drift.toFixed(2)}s detected, seeking to ${targetTime.toFixed(2)}s`);
-      playerRef.current.seekTo(targetTime, true);
-    }
-    
-    // Apply play/pause state
-    if (snapshot.isPlaying) {
-      playerRef.current.playVideo();
-      setIsPlaying(true);
-    } else {
-      playerRef.current.pauseVideo();
-      setIsPlaying(false);
-    }
-    
-    // Reset flag after short delay (allows YouTube API to process)
-    setTimeout(() => {
-      applyingServerUpdate.current = false;
-    }, 200);
-  };
-
   // ============================================================================
-  // INITIALIZATION: Load YouTube IFrame API
+  // REFS (Don't trigger re-renders, avoid stale closures in event handlers)
   // ============================================================================
   
-  /**
-   * STEP 1: Load YouTube IFrame API FIRST (before socket connection)
-   * 
-   * Why this order?
-   *   - YouTube API must be ready before we can initialize players
-   *   - Socket connection happens AFTER API is ready
-   *   - Prevents race conditions where session state arrives before player can be created
-   * 
-   * The YouTube API loads asynchronously and calls onYouTubeIframeAPIReady when ready
-   */
-  useEffect(() => {
-    if (!window.YT) {
-      // Load YouTube IFrame API script
-      const tag = document.createElement('script');
-      tag.src = 'https://www.youtube.com/iframe_api';
-      const firstScriptTag = document.getElementsByTagName('script')[0];
-      firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
-
-      // Global callback when YouTube API is ready
-      window.onYouTubeIframeAPIReady = () => {
-        log('YouTube IFrame API loaded and ready');
-        YT.current = window.YT;
-        setIsYouTubeAPIReady(true); // Triggers socket connection
-      };
-    } else {
-      // YouTube API already loaded (hot reload in development)
-      YT.current = window.YT;
-      setIsYouTubeAPIReady(true);
-    }
-  }, []);
+  const playerContainerRef = useRef(null); // DOM node the player adapter renders into
+  const playerFrameRef = useRef(null); // Player + overlays, the element that goes fullscreen
+  const playerRef = useRef(null); // Ready adapter, for local-only controls (volume, mute) and its title
+  const audioRef = useRef(audio); // Applied to each new player as it becomes ready
+  const videoUrlInputRef = useRef(null); // Focused by the "/" shortcut
 
   // ============================================================================
   // SOCKET CONNECTION: Establish real-time sync with backend
   // ============================================================================
   
   /**
-   * STEP 2: Initialize Socket.io connection AFTER YouTube API is ready
+   * Initialize Socket.io connection
    * 
-   * This dependency on isYouTubeAPIReady ensures sequential initialization:
-   *   1. YouTube API loads
-   *   2. Socket connects
-   *   3. Player can be initialized immediately when video ID received
+   * Snapshots that arrive before a player exists are queued by the engine
+   * and applied once the player is attached, so the connection doesn't need
+   * to wait for any player API to load.
    * 
    * Socket.io Configuration:
    *   - Custom path: /api/socket.io (matches backend routing)
    *   - Transports: WebSocket (preferred) with polling fallback
-   *   - Auto-reconnection: Up to 5 attempts with exponential backoff
+   *   - Auto-reconnection: Up to 5 attempts with exponential backoff, then
+   *     a manual "Reconnect" (see lib/connection-manager.js)
+   *   - Handshake query carries the room ID; the server scopes the session,
+   *     broadcasts and user count to that room
+   *   - It also carries our clientId and display name for the participant list,
+   *     and the clientSecret that proves the clientId (and its role) is ours
+   *   - Everything after the handshake goes through the socket transport,
+   *     which validates each event against lib/protocol.mjs
+   *   - Each connect starts with protocol:hello; an incompatible backend
+   *     gets a "please refresh" dialog
+   * 
+   * Session sync itself (session:state, clock sync, drift correction, and
+   * resyncing after a reconnect or server restart) lives in the sync engine;
+   * this component only handles connection UI.
    */
   useEffect(() => {
-    if (!isYouTubeAPIReady) {
-      return; // Wait for YouTube API before connecting socket
-    }
-
-    log('Establishing socket connection to', BACKEND_URL);
+    log('Establishing socket connection to', BACKEND_URL, 'room:', roomId);
     
     const newSocket = io(BACKEND_URL, {
       path: '/api/socket.io',
+      query: { roomId, clientId, clientSecret: getClientSecret(), name: displayName },
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -199,332 +214,306 @@ const WatchParty = () => {
       timeout: 20000
     });
 
+    const newTransport = createSocketTransport(newSocket);
+    const newEngine = createSyncEngine({ transport: newTransport, clientId }).start();
+    const newConnection = createConnectionManager(newSocket);
+    const newHandshake = createProtocolHandshake(newTransport);
+
     // Connection successful
     newSocket.on('connect', () => {
       log('Connected to server:', newSocket.id);
       toast.success('Connected to watch party!');
     });
 
-    // Connection failed
+    // Connection failed (the status indicator shows retries). An inactive
+    // socket means the server refused us, which retrying won't change.
     newSocket.on('connect_error', (error) => {
       logError('Socket connection error:', error.message);
-      toast.error('Failed to connect to server. Retrying...');
-    });
-
-    // Disconnected from server
-    newSocket.on('disconnect', (reason) => {
-      log('Disconnected:', reason);
-      if (reason === 'io server disconnect') {
-        // Server initiated disconnect - manually reconnect
-        newSocket.connect();
-      } else {
-        toast.error('Disconnected from server');
+      if (!newSocket.active) {
+        toast.error(error.message);
       }
     });
 
-    /**
-     * UNIFIED SESSION STATE LISTENER
-     * 
-     * Replaces individual play/pause/seek listeners with one consolidated event.
-     * Server broadcasts full state snapshots with version control and drift compensation.
-     * 
-     * Key Features:
-     *   1. Version Control: Ignores out-of-order/stale updates
-     *   2. Drift Compensation: Calculates current time accounting for network delay
-     *   3. Autoplay Policy: Shows "Click to Sync" banner when needed
-     *   4. Echo Prevention: Filters own actions via isLocalAction flag
-     */
-    newSocket.on('session:state', (snapshot) => {
-      log('Received session:state:', {
-        version: snapshot.version,
-        videoId: snapshot.videoId,
-        isPlaying: snapshot.isPlaying,
-        targetTime: snapshot.playbackTimeAtLastEvent ? computeTargetTime(snapshot).toFixed(2) : 'N/A'
-      });
-      
-      // ========== VERSION CONTROL ==========
-      // Ignore stale/out-of-order snapshots (network can reorder packets)
-      if (snapshot.version <= lastVersionRef.current) {
-        log(`Ignoring stale snapshot v${snapshot.version} (current: v${lastVersionRef.current})`);
-        return;
-      }
-      lastVersionRef.current = snapshot.version;
-      
-      // ========== VIDEO CHANGE HANDLING ==========
-      if (snapshot.videoId && snapshot.videoId !== currentVideoId) {
-        log('Video changed to:', snapshot.videoId);
-        setCurrentVideoId(snapshot.videoId); // Triggers player initialization
-        // toast.info('Video changed!');
-        
-        // If video already playing for others, show sync banner
-        if (snapshot.isPlaying && !hasInteracted.current) {
-          setNeedsUserInteraction(true);
-        }
-      }
-      
-      // ========== PLAYER READY CHECK ==========
-      // If player not initialized yet, store snapshot for later
-      if (!isPlayerReady.current) {
-        log('Player not ready, storing snapshot');
-        latestSessionState.current = snapshot;
-        return;
-      }
-      
-      // ========== APPLY SNAPSHOT LOGIC ==========
-      // Three cases:
-      
-      // Case 1: User clicked "Click to Sync" button
-      if (isRequestingSync.current && playerRef.current && isPlayerReady.current) {
-        log('Applying explicitly requested sync');
-        applySnapshot(snapshot);
-        isRequestingSync.current = false;
-      }
-      
-      // Case 2: Video playing but user hasn't interacted (browser autoplay policy)
-      else if (snapshot.isPlaying && !hasInteracted.current) {
-        log('Video playing, waiting for user interaction');
-        setNeedsUserInteraction(true); // Show "Click to Sync" banner
-        latestSessionState.current = snapshot;
-      }
-      
-      // Case 3: Normal sync (most common case)
-      else if (playerRef.current && isPlayerReady.current && !applyingServerUpdate.current && !isLocalAction.current) {
-        log('Applying snapshot with drift correction');
-        applySnapshot(snapshot);
-      }
-      
-      // Case 4: Conditions not met (debugging)
-      else {
-        log('Snapshot not applied, conditions:', {
-          hasPlayer: !!playerRef.current,
-          isReady: isPlayerReady.current,
-          applyingUpdate: applyingServerUpdate.current,
-          isLocal: isLocalAction.current
-        });
-      }
+    newTransport.on('user-count', (count) => {
+      setUserCount(count);
     });
 
-    newSocket.on('user-count', (count) => {
-      setUserCount(count);
+    // Server rejected one of our events (e.g. an unparseable video URL)
+    newTransport.on('session:error', ({ message }) => {
+      toast.error(message);
     });
 
-    setSocket(newSocket);
+    setTransport(newTransport);
+    setEngine(newEngine);
+    setConnection(newConnection);
+    setHandshake(newHandshake);
 
     return () => {
+      newEngine.destroy();
+      newConnection.destroy();
+      newHandshake.destroy();
       newSocket.close();
     };
-  }, [isYouTubeAPIReady]); // Dependency: only connect when YouTube API is ready
+  }, [roomId, clientId, displayName]);
+
+  // Only clients that may control playback report the end of a video (queue:advance)
+  useEffect(() => {
+    engine?.setCanControl(canControl);
+  }, [engine, canControl]);
 
   // ============================================================================
-  // YOUTUBE PLAYER INITIALIZATION
+  // PLAYER INITIALIZATION
   // ============================================================================
   
   /**
-   * Initialize YouTube player when video ID changes
+   * Create a player adapter when the video (or its source type) changes
    * 
    * Player lifecycle:
-   *   1. Video ID changes → Reset player ready state
+   *   1. Video changes → Detach old player from the engine
    *   2. Destroy old player (if exists)
-   *   3. Create new player with video ID
+   *   3. Create the adapter for the new source type
    *   4. Wait for onReady callback
-   *   5. Apply any stored session state
+   *   5. Attach to the engine (which applies any stored session state)
    * 
-   * Player Configuration:
-   *   - controls: 0       → Disable native controls (prevents desync)
-   *   - disablekb: 1      → Disable keyboard shortcuts
-   *   - autoplay: 0       → Don't autoplay (handle via session state)
+   * The engine only ever talks to the adapter interface (see components/players)
    */
   useEffect(() => {
-    if (!currentVideoId || !YT.current) {
-      return; // Wait for video ID and YouTube API
+    const container = playerContainerRef.current;
+    if (!currentVideoId || !container || !engine) {
+      return; // Wait for video ID and engine
     }
 
-    log('Initializing YouTube player for:', currentVideoId);
+    log('Initializing', sourceType, 'player for:', currentVideoId);
     
     // Reset ready state for new video
-    isPlayerReady.current = false;
-    setPlayerReadyUI(false);
-
-    const initPlayer = () => {
-      // Verify player div exists in DOM
-      const playerDiv = document.getElementById('youtube-player');
-      if (!playerDiv) {
-        logError('Player div not found! Retrying...');
-        setTimeout(initPlayer, 500);
-        return;
-      }
-
-      // Destroy existing player if present
-      if (playerRef.current) {
-        try {
-          playerRef.current.destroy();
-        } catch (e) {
-          logError('Error destroying old player:', e);
-        }
-      }
+    engine.detachPlayer();
+
+    let adapter;
+    try {
+      adapter = createPlayerAdapter(sourceType, container, currentVideoId, {
+        onReady: (readyPlayer) => {
+          playerRef.current = readyPlayer;
+          readyPlayer.setVolume(audioRef.current.volume);
+          readyPlayer.setMuted(audioRef.current.muted);
+          engine.attachPlayer(readyPlayer);
+        },
+        onStateChange: (playerState) => engine.notifyPlayerState(playerState),
+        onError: (message) => toast.error(message)
+      });
+    } catch (error) {
+      logError('Failed to create player:', error);
+      toast.error('Failed to initialize video player');
+      return;
+    }
 
-      // Create new YouTube player
-      try {
-        playerRef.current = new YT.current.Player('youtube-player', {
-          height: '100%',
-          width: '100%',
-          videoId: currentVideoId,
-          playerVars: {
-            autoplay: 0,
-            controls: 0,          // Disable native controls
-            disablekb: 1,         // Disable keyboard
-            modestbranding: 1,    // Minimal YouTube branding
-            rel: 0                // No related videos
-          },
-          events: {
-            onReady: (event) => {
-              log('YouTube player ready');
-              isPlayerReady.current = true;
-              setPlayerReadyUI(true);
-              
-              // Apply any queued session state
-              if (latestSessionState.current) {
-                log('Applying queued session state');
-                applySnapshot(latestSessionState.current);
-                latestSessionState.current = null;
-              }
-            },
-            onStateChange: onPlayerStateChange,
-            onError: (event) => {
-              logError('YouTube player error:', event.data);
-              toast.error('Video failed to load');
-            }
-          }
-        });
-      } catch (error) {
-        logError('Failed to create player:', error);
-        toast.error('Failed to initialize video player');
-      }
+    return () => {
+      playerRef.current = null;
+      engine.detachPlayer();
+      adapter.destroy();
     };
+  }, [currentVideoId, sourceType, engine]);
 
-    const timer = setTimeout(initPlayer, 100);
-    return () => clearTimeout(timer);
-  }, [currentVideoId]);
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
 
   /**
-   * YouTube player state change handler
-   * Used primarily for UI updates (play/pause/buffering state)
+   * Validates a pasted URL and sends it to the engine with the source type
+   * its adapter needs and where to start (from t= / start=)
+   * @param {string} input - As pasted by the user
+   * @param {(url: string, sourceType: string, startAt: number) => boolean} send - Engine action
+   * @returns {string|null} Why it wasn't sent, to show next to the input
    */
-  const onPlayerStateChange = (event) => {
-    // State codes: UNSTARTED (-1), ENDED (0), PLAYING (1), PAUSED (2), BUFFERING (3), CUED (5)
-    if (event.data === 1) {
-      setIsPlaying(true);
-    } else if (event.data === 2) {
-      setIsPlaying(false);
-    } else if (event.data === 3) {
-      setIsLoading(true);
+  const submitUrl = (input, send) => {
+    if (!canControl) return CONTROL_DENIED_REASON;
+
+    const { url, sourceType: urlSourceType, startAt, error } = parseVideoUrl(input);
+    if (error) return error;
+
+    if (!engine || !send(url, urlSourceType, startAt)) {
+      return 'Not connected to server. Please wait...';
     }
+    return null;
   };
 
-  // ============================================================================
-  // EVENT HANDLERS
-  // ============================================================================
-
   /**
    * Handle video URL submission
-   * Extracts video ID server-side and broadcasts to all clients
+   * Picks the player adapter from the URL; the server extracts the video ID
+   * and broadcasts to all clients
+   * @returns {string|null} Why it wasn't sent
    */
-  const handleVideoSubmit = (e) => {
-    e.preventDefault();
-    
-    if (!socket || !socket.connected) {
-      toast.error('Not connected to server. Please wait...');
-      return;
-    }
-    
-    if (videoUrl) {
-      const currentTime = playerRef.current?.getCurrentTime?.() || 0;
-      socket.emit('change-video', {
-        url: videoUrl,
-        currentTime,
-        isPlaying: !!isPlaying
-      });
-      setVideoUrl('');
-    }
-  };
+  const handleVideoSubmit = (url) => submitUrl(url, engine?.changeVideo);
+  // Queue: every change round-trips through the server
+  const handleQueueAdd = (url) => submitUrl(url, engine?.addToQueue);
+  const handleQueueRemove = (itemId) => canControl && engine.removeFromQueue(itemId);
+  const handleQueueMove = (itemId, toIndex) => canControl && engine.moveQueueItem(itemId, toIndex);
+
+  // Playback controls: the engine applies locally, then broadcasts
+  const handlePlay = () => canControl && engine.play();
+  const handlePause = () => canControl && engine.pause();
+  const handleSyncToSession = () => engine.syncToSession(); // Local only, always allowed
+
+  // Roles: host only, the server broadcasts the new participant list
+  const handleSetRole = (participantId, role) => transport.emit('role:set', { participantId, role });
+  const handleTransferHost = (participantId) => transport.emit('role:transfer-host', { participantId });
 
   /**
-   * Handle play button click
-   * 
-   * Flow:
-   *   1. Mark as local action (prevents echo)
-   *   2. Play locally (instant feedback)
-   *   3. Emit to server
-   *   4. Server broadcasts to others
+   * Copy this room's invite link to the clipboard
    */
-  const handlePlay = () => {
-    if (!playerRef.current || !socket || !socket.connected) return;
-    
-    isLocalAction.current = true;
-    hasInteracted.current = true; // Required for autoplay policy
-    setNeedsUserInteraction(false);
-    
-    const currentTime = playerRef.current.getCurrentTime();
-    playerRef.current.playVideo(); // Apply locally first
-    socket.emit('play', { currentTime });
-    setIsPlaying(true);
-    
-    setTimeout(() => isLocalAction.current = false, 100);
+  const handleCopyInvite = async () => {
+    const link = getInviteLink(roomId);
+    try {
+      await navigator.clipboard.writeText(link);
+      toast.success('Invite link copied!');
+    } catch (e) {
+      // Clipboard API unavailable (e.g. insecure context) - show the link instead
+      toast.info(link, { description: 'Copy this link to invite friends' });
+    }
   };
 
   /**
-   * Handle "Click to Sync" button
-   * Requests latest session state and applies it (doesn't broadcast own state)
+   * Download the current video's comments
+   * @param {'json'|'markdown'} format
    */
-  const handleSyncToSession = () => {
-    hasInteracted.current = true;
-    setNeedsUserInteraction(false);
-    isRequestingSync.current = true;
-    
-    // Request fresh state from server
-    if (socket && socket.connected) {
-      socket.emit('request-session-state');
-    }
-    
-    // If we have cached state and player is ready, apply immediately
-    if (latestSessionState.current && playerRef.current && isPlayerReady.current) {
-      log('Applying cached session state');
-      applySnapshot(latestSessionState.current);
-      isRequestingSync.current = false;
+  const handleExportComments = (format) => {
+    const video = { videoId: currentVideoId, sourceType };
+    const name = `comments-${roomId}-${Date.now()}`;
+    if (format === 'json') {
+      downloadFile(`${name}.json`, commentsToJson(video, comments), 'application/json');
+    } else {
+      downloadFile(`${name}.md`, commentsToMarkdown(video, comments), 'text/markdown');
     }
   };
 
+  // History: replay starts the video over for everyone, re-queue adds it to Up Next
+  const sendHistoryEntry = (entry, send) => {
+    const error = submitUrl(toVideoUrl(entry.videoId, entry.sourceType), send);
+    if (error) toast.error(error);
+  };
+  const handleHistoryReplay = (entry) => sendHistoryEntry(entry, engine?.changeVideo);
+  const handleHistoryRequeue = (entry) => sendHistoryEntry(entry, engine?.addToQueue);
+
   /**
-   * Handle pause button click
-   * Same pattern as play: apply locally → emit → broadcast
+   * Download this room's watch history
+   * @param {'json'|'markdown'} format
    */
-  const handlePause = () => {
-    if (!playerRef.current || !socket || !socket.connected) return;
-    
-    isLocalAction.current = true;
-    const currentTime = playerRef.current.getCurrentTime();
-    playerRef.current.pauseVideo();
-    socket.emit('pause', { currentTime });
-    setIsPlaying(false);
-    
-    setTimeout(() => isLocalAction.current = false, 100);
+  const handleExportHistory = (format) => {
+    const name = `history-${roomId}-${Date.now()}`;
+    if (format === 'json') {
+      downloadFile(`${name}.json`, historyToJson(roomId, historyEntries), 'application/json');
+    } else {
+      downloadFile(`${name}.md`, historyToMarkdown(roomId, historyEntries), 'text/markdown');
+    }
   };
 
   /**
    * Handle seek forward/backward
    * @param {number} seconds - Seconds to seek (positive = forward, negative = backward)
    */
-  const handleSeek = (seconds) => {
-    if (!playerRef.current || !socket || !socket.connected) return;
-    
-    isLocalAction.current = true;
-    const currentTime = playerRef.current.getCurrentTime() + seconds;
-    playerRef.current.seekTo(currentTime, true);
-    socket.emit('seek', { currentTime });
-    
-    setTimeout(() => isLocalAction.current = false, 100);
+  const handleSeek = (seconds) => canControl && engine.seekBy(seconds);
+
+  /**
+   * Seek everyone to an absolute position (seek bar)
+   * @param {number} seconds
+   */
+  const handleSeekTo = (seconds) => canControl && engine.seekTo(seconds);
+
+  const handleTogglePlay = () => (isPlaying ? handlePause() : handlePlay());
+
+  /**
+   * Change the playback speed for everyone
+   * @param {number} rate - One of PLAYBACK_RATES
+   */
+  const handleSetRate = (rate) => canChangeRate && engine.setPlaybackRate(rate);
+
+  // Next speed up (+1) or down (-1) from the current one
+  const handleStepRate = (step) => {
+    const next = PLAYBACK_RATES[PLAYBACK_RATES.indexOf(playbackRate) + step];
+    if (next) handleSetRate(next);
+  };
+
+  // Volume, mute and fullscreen only affect this viewer
+  const applyAudio = (patch) => {
+    audioRef.current = { ...audioRef.current, ...patch };
+    updateAudio(patch);
+    playerRef.current?.setVolume(audioRef.current.volume);
+    playerRef.current?.setMuted(audioRef.current.muted);
+  };
+
+  const handleToggleMute = () => applyAudio({ muted: !audioRef.current.muted });
+
+  // Moving the slider unmutes, like most players
+  const handleVolumeChange = (volume) => applyAudio({ volume, muted: false });
+
+  const handleStepVolume = (step) => handleVolumeChange(Math.min(100, Math.max(0, audioRef.current.volume + step)));
+
+  const handleToggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      playerFrameRef.current?.requestFullscreen?.();
+    }
+  };
+
+  // ============================================================================
+  // KEYBOARD SHORTCUTS
+  // ============================================================================
+
+  /**
+   * Playback shortcuts go through the same synced handlers as the buttons;
+   * when we can't control playback they explain why instead
+   */
+  const whenAllowed = (run) => () => {
+    if (!canControl) {
+      toast.error(CONTROL_DENIED_REASON);
+      return;
+    }
+    run();
   };
 
+  const shortcuts = [
+    { keys: [' ', 'k'], description: 'Play / pause', run: whenAllowed(handleTogglePlay) },
+    { keys: ['j'], description: 'Back 10 seconds', run: whenAllowed(() => handleSeek(-10)) },
+    { keys: ['l'], description: 'Forward 10 seconds', run: whenAllowed(() => handleSeek(10)) },
+    { keys: ['ArrowLeft'], description: 'Back 5 seconds', run: whenAllowed(() => handleSeek(-5)) },
+    { keys: ['ArrowRight'], description: 'Forward 5 seconds', run: whenAllowed(() => handleSeek(5)) },
+    { keys: ['<'], description: 'Slower (everyone)', run: whenAllowed(() => handleStepRate(-1)) },
+    { keys: ['>'], description: 'Faster (everyone)', run: whenAllowed(() => handleStepRate(1)) },
+    { keys: ['ArrowUp'], description: 'Volume up (just you)', run: () => handleStepVolume(5) },
+    { keys: ['ArrowDown'], description: 'Volume down (just you)', run: () => handleStepVolume(-5) },
+    { keys: ['m'], description: 'Mute / unmute (just you)', run: handleToggleMute },
+    { keys: ['f'], description: 'Fullscreen', run: handleToggleFullscreen },
+    { keys: ['/'], description: 'Focus the video URL box', run: () => videoUrlInputRef.current?.focus() },
+    { keys: ['?'], description: 'Show keyboard shortcuts', run: () => setIsShortcutsOpen(true) }
+  ];
+  useKeyboardShortcuts(shortcuts);
+
+  // ============================================================================
+  // COMMAND PALETTE
+  // ============================================================================
+
+  // Playback, queue, chat and polls register their own commands; these are the room's
+  useRegisterCommands([
+    {
+      id: 'room.ready-check',
+      label: 'Start ready check',
+      group: 'Room',
+      keywords: ['countdown', 'everyone ready'],
+      disabled: !isHost || !supportsReadyCheck || !currentVideoId || !!readyCheck.checkId,
+      run: handleStartReadyCheck
+    },
+    { id: 'room.invite', label: 'Copy invite link', group: 'Room', keywords: ['share'], run: handleCopyInvite },
+    { id: 'room.settings', label: 'Open room settings', group: 'Room', keywords: ['preferences'], run: () => setIsSettingsOpen(true) },
+    {
+      id: 'reactions.toggle',
+      label: reactionsHidden ? 'Show reactions' : 'Hide reactions',
+      group: 'Room',
+      keywords: ['emoji'],
+      run: () => setReactionsHidden(!reactionsHidden)
+    },
+    { id: 'room.shortcuts', label: 'Show keyboard shortcuts', group: 'Room', keywords: ['help', 'keys'], shortcut: '?', run: () => setIsShortcutsOpen(true) }
+  ]);
+
   return (
     <div className="min-h-screen bg-slate-950">
       <div className="container mx-auto px-4 py-8">
@@ -538,154 +527,308 @@ const WatchParty = () => {
           </p>
         </div>
 
-        {/* User Count / Connection Status */}
-        <div className="flex justify-center mb-6">
+        {/* Room / User Count / Connection Status */}
+        <div className="flex flex-wrap items-center justify-center gap-3 mb-6">
+          <Button
+            asChild
+            variant="ghost"
+            className="text-slate-300 hover:text-white hover:bg-white/10"
+          >
+            <Link to="/" data-testid="back-to-lobby-link">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Lobby
+            </Link>
+          </Button>
+          <div className="bg-white/10 backdrop-blur-md px-4 py-2 rounded-full border border-white/20 flex items-center gap-2" data-testid="room-id">
+            <span className="text-slate-300 text-sm">Room</span>
+            <span className="text-white font-mono font-semibold">{roomId}</span>
+            <Button
+              data-testid="copy-invite-btn"
+              onClick={handleCopyInvite}
+              variant="ghost"
+              size="sm"
+              className="h-7 text-purple-300 hover:text-white hover:bg-white/10"
+            >
+              <Link2 className="w-4 h-4 mr-1" />
+              Copy invite
+            </Button>
+            <Button
+              data-testid="room-settings-btn"
+              onClick={() => setIsSettingsOpen(true)}
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7 text-slate-300 hover:text-white hover:bg-white/10"
+              aria-label="Room settings"
+            >
+              <Settings className="w-4 h-4" />
+            </Button>
+            <Button
+              data-testid="shortcuts-btn"
+              onClick={() => setIsShortcutsOpen(true)}
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7 text-slate-300 hover:text-white hover:bg-white/10"
+              aria-label="Keyboard shortcuts"
+            >
+              <Keyboard className="w-4 h-4" />
+            </Button>
+          </div>
           <div className="bg-white/10 backdrop-blur-md px-6 py-3 rounded-full border border-white/20 flex items-center gap-2">
             <Users className="w-5 h-5 text-white" />
-            {socket ? (
-              <span className="text-white font-semibold">{userCount} {userCount === 1 ? 'viewer' : 'viewers'} online</span>
-            ) : (
-              <span className="text-slate-300 font-semibold">
-                {isYouTubeAPIReady ? 'Connecting...' : 'Loading YouTube API...'}
-              </span>
-            )}
+            <span className="text-white font-semibold">{userCount} {userCount === 1 ? 'viewer' : 'viewers'} online</span>
           </div>
+          <ConnectionStatus state={connectionState} onReconnect={() => connection?.reconnect()} />
         </div>
 
-        <div className="max-w-5xl mx-auto space-y-6">
-          {/* Video Input */}
-          <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="video-input-card">
-            <CardHeader>
-              <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>Add Video URL</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <form onSubmit={handleVideoSubmit} className="flex gap-3">
-                <Input
-                  data-testid="video-url-input"
-                  type="text"
-                  value={videoUrl}
-                  onChange={(e) => setVideoUrl(e.target.value)}
-                  placeholder="Paste YouTube URL here (e.g., https://www.youtube.com/watch?v=...)"
-                  className="flex-1 bg-white/5 border-white/20 text-white placeholder:text-slate-400"
-                />
-                <Button 
-                  data-testid="submit-video-btn"
-                  type="submit" 
-                  className="bg-purple-600 hover:bg-purple-700 text-white"
-                >
-                  Load Video
-                </Button>
-              </form>
-            </CardContent>
-          </Card>
-
-          {/* Video Player */}
-          <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="video-player-card">
-            <CardContent className="p-6">
-              <div className="aspect-video bg-black rounded-lg overflow-hidden mb-4 relative">
-                {currentVideoId ? (
-                  <>
-                    <div id="youtube-player" className="w-full h-full" data-testid="youtube-player"></div>
-                    {/* Transparent overlay to prevent direct clicks on video */}
-                    <div className="absolute inset-0 pointer-events-auto cursor-default" 
-                         onClick={(e) => e.preventDefault()} 
-                         style={{ zIndex: 10 }}
-                    />
-                  </>
-                ) : (
-                  <div className="w-full h-full flex items-center justify-center text-slate-400">
-                    <div className="text-center">
-                      <Play className="w-16 h-16 mx-auto mb-4 opacity-50" />
-                      <p className="text-lg">Enter a YouTube URL to start watching</p>
+        <div className="max-w-7xl mx-auto grid gap-6 items-start lg:grid-cols-[minmax(0,1fr)_22rem]">
+          <div className="space-y-6 min-w-0">
+            {/* Video Input */}
+            <VideoUrlForm
+              onSubmit={handleVideoSubmit}
+              canSubmit={canControl}
+              disabledReason={CONTROL_DENIED_REASON}
+              inputRef={videoUrlInputRef}
+            />
+
+            {/* Video Player */}
+            <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="video-player-card">
+              <CardContent className="p-6">
+                <div ref={playerFrameRef} className="aspect-video bg-black rounded-lg overflow-hidden mb-4 relative">
+                  {currentVideoId ? (
+                    <>
+                      <div ref={playerContainerRef} className="w-full h-full" data-testid="video-player"></div>
+                      {/* Blocks direct clicks on the video; reactions float here */}
+                      <ReactionOverlay reactions={reactions} selfId={clientId} />
+                      <BufferingBadge participants={participants} holdingFor={holdingFor} selfId={clientId} />
+                      {readyCheck.startsAt !== null && engine && (
+                        <CountdownOverlay startsAt={readyCheck.startsAt} getServerTime={engine.getServerTime} />
+                      )}
+                    </>
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center text-slate-400">
+                      <div className="text-center">
+                        <Play className="w-16 h-16 mx-auto mb-4 opacity-50" />
+                        <p className="text-lg">Enter a YouTube or video URL to start watching</p>
+                      </div>
                     </div>
-                  </div>
+                  )}
+                </div>
+
+                {/* Ready Check */}
+                {isReadyCheckOpen && (
+                  <ReadyCheckBanner
+                    readyCheck={readyCheck}
+                    participants={participants}
+                    selfId={clientId}
+                    isHost={isHost}
+                    onConfirm={handleConfirmReady}
+                    onOverride={handleOverrideReady}
+                    onCancel={handleCancelReady}
+                  />
                 )}
-              </div>
-
-              {/* User Interaction Needed Banner */}
-              {needsUserInteraction && currentVideoId && (
-                <div className="mb-4 p-4 bg-yellow-500/20 border border-yellow-500/40 rounded-lg flex items-center justify-between">
-                  <div className="flex items-center gap-3">
-                    <Play className="w-5 h-5 text-yellow-400" />
-                    <div>
-                      <p className="text-white font-semibold">Video is playing for others</p>
-                      <p className="text-slate-300 text-sm">Click to sync and start watching</p>
+
+                {/* User Interaction Needed Banner */}
+                {needsUserInteraction && currentVideoId && (
+                  <div className="mb-4 p-4 bg-yellow-500/20 border border-yellow-500/40 rounded-lg flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <Play className="w-5 h-5 text-yellow-400" />
+                      <div>
+                        <p className="text-white font-semibold">Video is playing for others</p>
+                        <p className="text-slate-300 text-sm">Click to sync and start watching</p>
+                      </div>
                     </div>
-                  </div>
-                  <Button
-                    onClick={handleSyncToSession}
-                    className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold"
-                  >
-                    Click to Sync
-                  </Button>
-                </div>
-              )}
-
-              {/* Controls */}
-              {currentVideoId && playerReadyUI && (
-                <div className="flex items-center justify-center gap-4" data-testid="video-controls">
-                  <Button
-                    data-testid="seek-backward-btn"
-                    onClick={() => handleSeek(-10)}
-                    variant="outline"
-                    size="icon"
-                    className="bg-white/10 border-white/20 text-white hover:bg-white/20"
-                  >
-                    <SkipBack className="w-5 h-5" />
-                  </Button>
-
-                  {isPlaying ? (
                     <Button
-                      data-testid="pause-btn"
-                      onClick={handlePause}
-                      size="lg"
-                      className="bg-purple-600 hover:bg-purple-700 text-white px-8"
+                      onClick={handleSyncToSession}
+                      className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold"
                     >
-                      <Pause className="w-6 h-6 mr-2" />
-                      Pause
+                      Click to Sync
                     </Button>
-                  ) : (
-                    <Button
-                      data-testid="play-btn"
-                      onClick={handlePlay}
-                      size="lg"
-                      className="bg-purple-600 hover:bg-purple-700 text-white px-8"
-                    >
-                      <Play className="w-6 h-6 mr-2" />
-                      Play
-                    </Button>
-                  )}
+                  </div>
+                )}
 
-                  <Button
-                    data-testid="seek-forward-btn"
-                    onClick={() => handleSeek(10)}
-                    variant="outline"
-                    size="icon"
-                    className="bg-white/10 border-white/20 text-white hover:bg-white/20"
-                  >
-                    <SkipForward className="w-5 h-5" />
-                  </Button>
-                </div>
-              )}
-            </CardContent>
-          </Card>
-
-          {/* Instructions */}
-          <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="instructions-card">
-            <CardHeader>
-              <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>How it works</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <ul className="text-slate-300 space-y-2" style={{ fontFamily: '"Inter", sans-serif' }}>
-                <li>• Everyone joins the same global watch session</li>
-                <li>• Paste a YouTube URL to change the video for everyone</li>
-                <li>• Use play, pause, and seek controls - all users will sync automatically</li>
-                <li>• New joiners automatically sync to the current playback state</li>
-              </ul>
-            </CardContent>
-          </Card>
+                {/* Controls */}
+                {currentVideoId && playerReadyUI && (
+                  <div className="space-y-4">
+                    <PermissionTooltip allowed={canControl} reason={CONTROL_DENIED_REASON} className="block">
+                      <SeekBar
+                        getPosition={engine.getPlaybackPosition}
+                        onSeek={handleSeekTo}
+                        disabled={!canControl}
+                        markers={comments.map(({ id, time, name, text }) => ({ id, time, label: `${name}: ${text}` }))}
+                      />
+                    </PermissionTooltip>
+                    <div className="flex flex-wrap items-center justify-center gap-4" data-testid="video-controls">
+                      <PlaybackControls
+                        isPlaying={isPlaying}
+                        onPlay={handlePlay}
+                        onPause={handlePause}
+                        onSeekBy={handleSeek}
+                        onSync={handleSyncToSession}
+                        canControl={canControl}
+                        disabledReason={CONTROL_DENIED_REASON}
+                      />
+
+                      <PermissionTooltip
+                        allowed={canChangeRate}
+                        reason={supportsRate ? CONTROL_DENIED_REASON : SPEED_UNSUPPORTED_REASON}
+                      >
+                        <SpeedSelect rate={playbackRate} onChange={handleSetRate} disabled={!canChangeRate} />
+                      </PermissionTooltip>
+                      <VolumeControl
+                        volume={audio.volume}
+                        muted={audio.muted}
+                        onVolumeChange={handleVolumeChange}
+                        onToggleMute={handleToggleMute}
+                      />
+                      {isHost && supportsReadyCheck && (
+                        <Button
+                          data-testid="ready-check-btn"
+                          onClick={handleStartReadyCheck}
+                          disabled={!!readyCheck.checkId}
+                          variant="outline"
+                          className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+                        >
+                          <ListChecks className="w-4 h-4 mr-2" />
+                          Ready check
+                        </Button>
+                      )}
+                      <Button
+                        data-testid="fullscreen-btn"
+                        onClick={handleToggleFullscreen}
+                        variant="ghost"
+                        size="icon"
+                        className="text-slate-300 hover:text-white hover:bg-white/10"
+                        aria-label="Fullscreen"
+                      >
+                        <Maximize className="w-5 h-5" />
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Reactions */}
+                {currentVideoId && supportsReactions && (
+                  <div className="mt-4 pt-4 border-t border-white/10">
+                    <ReactionBar
+                      onReact={sendReaction}
+                      hidden={reactionsHidden}
+                      onHiddenChange={setReactionsHidden}
+                      disabled={reactionsCoolingDown || connectionState.status !== CONNECTION_STATUS.CONNECTED}
+                    />
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Timestamped Comments */}
+            {currentVideoId && supportsComments && (
+              <CommentsPanel
+                comments={comments}
+                selfId={clientId}
+                canModerate={isHost || selfRole === ROLES.MODERATOR}
+                getCurrentTime={() => engine?.getPlaybackPosition()?.currentTime ?? null}
+                onAdd={addComment}
+                onRemove={removeComment}
+                onSeek={handleSeekTo}
+                canSeek={canControl}
+                seekDisabledReason={CONTROL_DENIED_REASON}
+                onExport={handleExportComments}
+              />
+            )}
+
+            {/* Up Next Queue */}
+            <QueuePanel
+              queue={queue}
+              onAdd={handleQueueAdd}
+              onRemove={handleQueueRemove}
+              onMove={handleQueueMove}
+              canEdit={canControl}
+              disabledReason={CONTROL_DENIED_REASON}
+            />
+
+            {/* Watch History */}
+            <WatchHistoryPanel
+              entries={historyEntries}
+              currentEntryId={currentEntryId}
+              onReplay={handleHistoryReplay}
+              onRequeue={handleHistoryRequeue}
+              canControl={canControl}
+              disabledReason={CONTROL_DENIED_REASON}
+              onExport={handleExportHistory}
+              onClear={clearHistory}
+            />
+
+            {/* Instructions */}
+            <Card className="bg-white/10 backdrop-blur-md border-white/20" data-testid="instructions-card">
+              <CardHeader>
+                <CardTitle className="text-white" style={{ fontFamily: '"Space Grotesk", sans-serif' }}>How it works</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ul className="text-slate-300 space-y-2" style={{ fontFamily: '"Inter", sans-serif' }}>
+                  <li>• Everyone in this room shares one watch session - use "Copy invite" to bring friends</li>
+                  <li>• Paste a YouTube URL or a direct MP4/WebM link to change the video for everyone</li>
+                  <li>• Queue up more videos - the next one starts automatically when the current one ends</li>
+                  <li>• Use play, pause, skip and the seek bar - all users will sync automatically</li>
+                  <li>• The host can limit playback control to themselves and moderators in room settings</li>
+                  <li>• New joiners automatically sync to the current playback state</li>
+                  <li>• Press ? for keyboard shortcuts, or Ctrl/Cmd+K for the command palette</li>
+                </ul>
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Sidebar: Participants + Chat */}
+          <aside className="space-y-6 lg:sticky lg:top-8">
+            <ParticipantList
+              participants={participants}
+              selfId={clientId}
+              onChangeName={onChangeName}
+              canManageRoles={isHost}
+              onSetRole={handleSetRole}
+              onTransferHost={handleTransferHost}
+              readyIds={isReadyCheckOpen ? readyCheck.confirmed : null}
+            />
+            {supportsPolls && (
+              <PollsPanel
+                polls={polls}
+                selfId={clientId}
+                canModerate={isHost || selfRole === ROLES.MODERATOR}
+                hasVideo={!!currentVideoId}
+                skipThreshold={roomSettings.skipThreshold}
+                onCreate={createPoll}
+                onStartSkip={startSkipVote}
+                onVote={vote}
+                onClose={closePoll}
+              />
+            )}
+            <ChatPanel
+              messages={chatMessages}
+              selfId={clientId}
+              onSend={sendMessage}
+              isOpen={isChatOpen}
+              onToggle={() => setIsChatOpen((open) => !open)}
+            />
+          </aside>
         </div>
       </div>
+
+      <RoomSettingsDialog
+        open={isSettingsOpen}
+        onOpenChange={setIsSettingsOpen}
+        settings={roomSettings}
+        canEdit={isHost}
+        onUpdate={updateRoomSettings}
+      />
+      <KeyboardShortcutsDialog
+        open={isShortcutsOpen}
+        onOpenChange={setIsShortcutsOpen}
+        shortcuts={shortcuts}
+      />
+      <CommandPalette open={isPaletteOpen} onOpenChange={setIsPaletteOpen} />
+      <UpdateRequiredDialog
+        open={handshakeState.status === HANDSHAKE_STATUS.INCOMPATIBLE}
+        reason={handshakeState.reason}
+      />
     </div>
   );
 };
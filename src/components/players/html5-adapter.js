@@ -0,0 +1,79 @@
+import { log, logError } from '@/lib/logger';
+
+/**
+ * HTML5 <video> player adapter for direct MP4/WebM URLs
+ *
+ * Implements the player interface from ./index.js on top of a plain
+ * HTMLVideoElement. Native controls stay off, like the YouTube player.
+ */
+
+// Media element events → adapter states
+const MEDIA_EVENTS = {
+  playing: 'playing',
+  pause: 'paused',
+  waiting: 'buffering',
+  ended: 'ended'
+};
+
+export const createHtml5Adapter = (container, url, { onReady, onStateChange, onError }) => {
+  const video = document.createElement('video');
+  video.className = 'w-full h-full bg-black';
+  video.controls = false;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  const listeners = Object.entries(MEDIA_EVENTS).map(([event, state]) => {
+    const listener = () => onStateChange(state);
+    video.addEventListener(event, listener);
+    return [event, listener];
+  });
+
+  const handleReady = () => {
+    log('HTML5 player ready');
+    onReady(adapter);
+  };
+  const handleError = () => {
+    logError('HTML5 player error:', video.error);
+    onError('Video failed to load');
+  };
+  video.addEventListener('loadedmetadata', handleReady, { once: true });
+  video.addEventListener('error', handleError);
+
+  const adapter = {
+    play: () => {
+      // play() rejects when the browser blocks autoplay; the engine's
+      // "Click to Sync" flow covers that case
+      video.play().catch((error) => log('HTML5 play() rejected:', error.message));
+    },
+    pause: () => video.pause(),
+    seekTo: (time) => {
+      video.currentTime = time;
+    },
+    getCurrentTime: () => video.currentTime,
+    getDuration: () => video.duration || 0,
+    getTitle: () => null, // Files carry no title we can rely on; see describeVideo()
+    setPlaybackRate: (rate) => {
+      video.playbackRate = rate;
+    },
+    setMuted: (muted) => {
+      video.muted = muted;
+    },
+    setVolume: (volume) => {
+      video.volume = volume / 100;
+    },
+    destroy: () => {
+      listeners.forEach(([event, listener]) => video.removeEventListener(event, listener));
+      video.removeEventListener('loadedmetadata', handleReady);
+      video.removeEventListener('error', handleError);
+      video.pause();
+      video.removeAttribute('src');
+      video.load(); // Releases the network connection
+      container.replaceChildren();
+    }
+  };
+
+  video.src = url;
+  container.appendChild(video);
+
+  return adapter;
+};
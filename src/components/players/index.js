@@ -0,0 +1,125 @@
+import { createYouTubeAdapter } from '@/components/players/youtube-adapter';
+import { createHtml5Adapter } from '@/components/players/html5-adapter';
+import { YOUTUBE_VIDEO_ID, isYouTubeUrl, parseMediaUrl, parseYouTubeUrl, toUrl } from '@/lib/video-url.mjs';
+import { parseTime } from '@/lib/format-time';
+
+/**
+ * Player adapter layer
+ *
+ * Every adapter implements the same interface, which is all the sync engine
+ * ever talks to:
+ *
+ *   play(), pause(), seekTo(seconds), getCurrentTime(), getDuration(),
+ *   setPlaybackRate(rate), getAvailablePlaybackRates?(), setMuted(muted),
+ *   setVolume(volume), getTitle(), destroy()
+ *
+ * getTitle() returns null until the player knows it (YouTube fills it in
+ * once the video has loaded) or if the source has none.
+ *
+ * setMuted and setVolume (0-100) are local-only: the UI calls them
+ * directly, they're never synced. The room-wide playback rate goes through
+ * the engine like any other playback change.
+ *
+ * Adapters are created with (container, videoId, callbacks):
+ *   onReady(adapter)       Player can be controlled
+ *   onStateChange(state)   'playing' | 'paused' | 'buffering' | 'ended'
+ *   onError(message)       User-facing error message
+ *
+ * `videoId` is whatever identifies the video for that source type: the
+ * 11-character ID for YouTube, the media URL for HTML5.
+ */
+
+export const SOURCE_TYPES = {
+  YOUTUBE: 'youtube',
+  HTML5: 'html5'
+};
+
+const ADAPTERS = {
+  [SOURCE_TYPES.YOUTUBE]: createYouTubeAdapter,
+  [SOURCE_TYPES.HTML5]: createHtml5Adapter
+};
+
+/**
+ * Picks the source type for a pasted URL
+ *
+ * @param {string} input - URL as pasted by the user
+ * @returns {string|null} One of SOURCE_TYPES, or null if no adapter can play it
+ */
+export const detectSourceType = (input) => {
+  const text = String(input || '').trim();
+  if (YOUTUBE_VIDEO_ID.test(text)) {
+    return SOURCE_TYPES.YOUTUBE; // Bare video ID
+  }
+
+  const url = toUrl(text);
+  if (!url) {
+    return null;
+  }
+  if (isYouTubeUrl(url)) {
+    return SOURCE_TYPES.YOUTUBE;
+  }
+  return parseMediaUrl(text) ? SOURCE_TYPES.HTML5 : null;
+};
+
+/**
+ * Validates a pasted URL before anything is sent
+ *
+ * Uses the same parsers as the server (lib/video-url.mjs). YouTube links are
+ * normalised to a plain watch URL (so the backend only ever sees one form)
+ * and carry the start offset from t= / start=.
+ *
+ * @param {string} input - URL as pasted by the user
+ * @returns {{url: string, sourceType: string, startAt: number} | {error: string}}
+ */
+export const parseVideoUrl = (input) => {
+  const text = String(input || '').trim();
+  const sourceType = detectSourceType(text);
+
+  if (sourceType === SOURCE_TYPES.YOUTUBE) {
+    const { videoId, start, error } = parseYouTubeUrl(text);
+    if (error) {
+      return { error };
+    }
+    const startAt = start === null ? 0 : parseTime(start);
+    return startAt === null
+      ? { error: `Can't read the start time "${start}" (try t=90 or t=1m30s)` }
+      : { url: `https://www.youtube.com/watch?v=${videoId}`, sourceType, startAt };
+  }
+  if (sourceType === SOURCE_TYPES.HTML5) {
+    return { url: parseMediaUrl(text), sourceType, startAt: 0 };
+  }
+  return { error: text ? 'Paste a YouTube link or a direct .mp4 / .webm video URL' : 'Paste a video link' };
+};
+
+/**
+ * URL that loads `videoId` again (for change-video / queue:add)
+ */
+export const toVideoUrl = (videoId, sourceType) => (
+  sourceType === SOURCE_TYPES.HTML5 ? videoId : `https://www.youtube.com/watch?v=${videoId}`
+);
+
+/**
+ * Short label for a video we don't know the title of: the YouTube ID or
+ * the media file name
+ */
+export const describeVideo = (videoId, sourceType) => {
+  if (sourceType !== SOURCE_TYPES.HTML5) {
+    return videoId;
+  }
+  try {
+    return decodeURIComponent(new URL(videoId).pathname.split('/').pop()) || videoId;
+  } catch (e) {
+    return videoId;
+  }
+};
+
+/**
+ * Creates the adapter for `sourceType` inside `container`
+ */
+export const createPlayerAdapter = (sourceType, container, videoId, callbacks) => {
+  const create = ADAPTERS[sourceType];
+  if (!create) {
+    throw new Error(`No player adapter for source type "${sourceType}"`);
+  }
+  return create(container, videoId, callbacks);
+};
@@ -0,0 +1,124 @@
+import { log, logError } from '@/lib/logger';
+
+/**
+ * YouTube IFrame API player adapter
+ *
+ * Implements the player interface from ./index.js on top of YT.Player.
+ */
+
+// YouTube player state codes → adapter states
+// UNSTARTED (-1) and CUED (5) aren't reported
+const YT_PLAYER_STATES = {
+  0: 'ended',
+  1: 'playing',
+  2: 'paused',
+  3: 'buffering'
+};
+
+let apiPromise = null;
+
+/**
+ * Loads the YouTube IFrame API once and resolves with window.YT
+ *
+ * The API loads asynchronously and calls onYouTubeIframeAPIReady when ready
+ */
+export const loadYouTubeAPI = () => {
+  if (window.YT && window.YT.Player) {
+    return Promise.resolve(window.YT); // Already loaded (hot reload in development)
+  }
+
+  if (!apiPromise) {
+    apiPromise = new Promise((resolve) => {
+      window.onYouTubeIframeAPIReady = () => {
+        log('YouTube IFrame API loaded and ready');
+        resolve(window.YT);
+      };
+
+      const tag = document.createElement('script');
+      tag.src = 'https://www.youtube.com/iframe_api';
+      const firstScriptTag = document.getElementsByTagName('script')[0];
+      firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+    });
+  }
+  return apiPromise;
+};
+
+/**
+ * Creates a YouTube player inside `container`
+ *
+ * Player Configuration:
+ *   - controls: 0       → Disable native controls (prevents desync)
+ *   - disablekb: 1      → Disable keyboard shortcuts
+ *   - autoplay: 0       → Don't autoplay (handle via session state)
+ */
+export const createYouTubeAdapter = (container, videoId, { onReady, onStateChange, onError }) => {
+  let player = null;
+  let destroyed = false;
+
+  // YT.Player replaces the element it's given, so give it one React doesn't own
+  const mount = document.createElement('div');
+  mount.className = 'w-full h-full';
+  container.appendChild(mount);
+
+  const adapter = {
+    play: () => player.playVideo(),
+    pause: () => player.pauseVideo(),
+    seekTo: (time) => player.seekTo(time, true),
+    getCurrentTime: () => player.getCurrentTime(),
+    getDuration: () => player.getDuration(),
+    getTitle: () => player.getVideoData?.()?.title || null,
+    setPlaybackRate: (rate) => player.setPlaybackRate(rate),
+    getAvailablePlaybackRates: () => player.getAvailablePlaybackRates(),
+    setMuted: (muted) => (muted ? player.mute() : player.unMute()),
+    setVolume: (volume) => player.setVolume(volume),
+    destroy: () => {
+      destroyed = true;
+      try {
+        player?.destroy();
+      } catch (e) {
+        logError('Error destroying YouTube player:', e);
+      }
+      container.replaceChildren();
+    }
+  };
+
+  loadYouTubeAPI().then((YT) => {
+    if (destroyed) return;
+
+    try {
+      player = new YT.Player(mount, {
+        height: '100%',
+        width: '100%',
+        videoId,
+        playerVars: {
+          autoplay: 0,
+          controls: 0,          // Disable native controls
+          disablekb: 1,         // Disable keyboard
+          modestbranding: 1,    // Minimal YouTube branding
+          rel: 0                // No related videos
+        },
+        events: {
+          onReady: () => {
+            log('YouTube player ready');
+            onReady(adapter);
+          },
+          onStateChange: (event) => {
+            const state = YT_PLAYER_STATES[event.data];
+            if (state) {
+              onStateChange(state);
+            }
+          },
+          onError: (event) => {
+            logError('YouTube player error:', event.data);
+            onError('Video failed to load');
+          }
+        }
+      });
+    } catch (error) {
+      logError('Failed to create YouTube player:', error);
+      onError('Failed to initialize video player');
+    }
+  });
+
+  return adapter;
+};
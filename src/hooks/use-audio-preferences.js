@@ -0,0 +1,20 @@
+import { useCallback, useState } from 'react';
+import { loadAudioPreferences, saveAudioPreferences } from '@/lib/audio-preferences';
+
+/**
+ * Volume and mute remembered in localStorage
+ * @returns {[{volume: number, muted: boolean}, (patch: Object) => void]}
+ */
+export function useAudioPreferences() {
+  const [preferences, setPreferences] = useState(loadAudioPreferences);
+
+  const updatePreferences = useCallback((patch) => {
+    setPreferences((prev) => {
+      const next = { ...prev, ...patch };
+      saveAudioPreferences(next);
+      return next;
+    });
+  }, []);
+
+  return [preferences, updatePreferences];
+}
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+
+export const MAX_CHAT_MESSAGES = 200; // In-memory history bound (oldest dropped first)
+export const MAX_CHAT_LENGTH = 500; // Characters per message
+
+const appendBounded = (messages, incoming) => [...messages, ...incoming].slice(-MAX_CHAT_MESSAGES);
+
+/**
+ * Room chat over the watch-party socket
+ *
+ * Protocol:
+ *   chat:history  ← [message]   Recent history, sent by the server on (re)connect
+ *   chat:message  ← message     Broadcast to the room
+ *   chat:message  → { text }
+ *
+ * message: { id, senderId, name, text, sentAt }  (sentAt is server time, ms)
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js; null until created)
+ */
+export function useChat(transport) {
+  const [messages, setMessages] = useState([]);
+
+  useEffect(() => {
+    if (!transport) return;
+
+    const unsubscribers = [
+      transport.on('chat:history', (history) => setMessages(appendBounded([], history))),
+      transport.on('chat:message', (message) => setMessages((prev) => appendBounded(prev, [message])))
+    ];
+    return () => unsubscribers.forEach((off) => off());
+  }, [transport]);
+
+  /**
+   * @returns {boolean} false if the message is empty or we're offline
+   */
+  const sendMessage = useCallback((text) => {
+    const trimmed = text.trim().slice(0, MAX_CHAT_LENGTH);
+    if (!trimmed || !transport || !transport.isConnected()) {
+      return false;
+    }
+    transport.emit('chat:message', { text: trimmed });
+    return true;
+  }, [transport]);
+
+  return { messages, sendMessage };
+}
@@ -0,0 +1,47 @@
+import React, { createContext, useContext, useEffect, useId, useState, useSyncExternalStore } from 'react';
+import { createCommandRegistry } from '@/lib/command-registry';
+
+const CommandRegistryContext = createContext(null);
+
+/**
+ * Provides the command registry to everything below it
+ */
+export function CommandRegistryProvider({ children }) {
+  const [registry] = useState(createCommandRegistry);
+  return React.createElement(CommandRegistryContext.Provider, { value: registry }, children);
+}
+
+export function useCommandRegistry() {
+  const registry = useContext(CommandRegistryContext);
+  if (!registry) {
+    throw new Error('useCommandRegistry must be used within a CommandRegistryProvider');
+  }
+  return registry;
+}
+
+/**
+ * Registers a feature's commands for as long as the component is mounted
+ * (see lib/command-registry.js for the command shape)
+ *
+ * Pass a fresh list every render; only visible changes reach the palette.
+ *
+ * @param {Array} commands
+ */
+export function useRegisterCommands(commands) {
+  const registry = useCommandRegistry();
+  const ownerId = useId();
+
+  useEffect(() => {
+    registry.register(ownerId, commands);
+  });
+
+  useEffect(() => () => registry.unregister(ownerId), [registry, ownerId]);
+}
+
+/**
+ * All registered commands, re-rendering when they change
+ */
+export function useCommands() {
+  const registry = useCommandRegistry();
+  return useSyncExternalStore(registry.subscribe, registry.getCommands);
+}
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from 'react';
+import { MAX_COMMENT_LENGTH } from '@/lib/protocol.mjs';
+
+/**
+ * Timestamped comments on the current video
+ *
+ * Protocol:
+ *   comments:request  → { videoId }                    Asked for on every video change and reconnect
+ *   comments:list     ← { videoId, comments }          Whenever a video's comments change
+ *   comment:add       → { videoId, time, text }
+ *   comment:remove    → { videoId, commentId }         Author, host or moderator
+ *
+ * comment: { id, videoId, authorId, name, time, text, createdAt }
+ *
+ * Lists are kept per video ID, so a list that arrives just after a video
+ * change is filed under its own video instead of showing on the new one.
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js; null until created)
+ * @param {string|null} videoId - Current video
+ */
+export function useComments(transport, videoId) {
+  const [byVideo, setByVideo] = useState({}); // videoId → comments, by time
+
+  useEffect(() => {
+    if (!transport) return;
+    return transport.on('comments:list', (list) => {
+      setByVideo((prev) => ({ ...prev, [list.videoId]: list.comments }));
+    });
+  }, [transport]);
+
+  useEffect(() => {
+    if (!transport || !videoId) return;
+
+    const request = () => transport.emit('comments:request', { videoId });
+    if (transport.isConnected()) {
+      request();
+    }
+    return transport.on('connect', request);
+  }, [transport, videoId]);
+
+  /**
+   * @param {number} time - Seconds into the video
+   * @param {string} text
+   * @returns {boolean} false if the comment is empty or we're offline
+   */
+  const addComment = useCallback((time, text) => {
+    const trimmed = text.trim().slice(0, MAX_COMMENT_LENGTH);
+    if (!trimmed || !videoId || !transport || !transport.isConnected()) {
+      return false;
+    }
+    transport.emit('comment:add', { videoId, time: Math.max(0, time), text: trimmed });
+    return true;
+  }, [transport, videoId]);
+
+  const removeComment = useCallback((commentId) => {
+    if (videoId && transport) {
+      transport.emit('comment:remove', { videoId, commentId });
+    }
+  }, [transport, videoId]);
+
+  return { comments: (videoId && byVideo[videoId]) || [], addComment, removeComment };
+}
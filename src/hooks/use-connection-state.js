@@ -0,0 +1,19 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { CONNECTION_STATUS } from '@/lib/connection-manager';
+
+const noopUnsubscribe = () => {};
+const INITIAL_CONNECTION_STATE = { status: CONNECTION_STATUS.CONNECTING, attempt: 0, maxAttempts: 0 };
+
+/**
+ * Subscribes a component to a connection manager's state
+ * Reports 'connecting' until a manager exists
+ */
+export function useConnectionState(connection) {
+  const subscribe = useCallback(
+    (onChange) => (connection ? connection.subscribe(onChange) : noopUnsubscribe),
+    [connection]
+  );
+  const getSnapshot = () => (connection ? connection.getState() : INITIAL_CONNECTION_STATE);
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,17 @@
+import { useCallback, useState } from 'react';
+import { loadDisplayName, saveDisplayName } from '@/lib/display-name';
+
+/**
+ * Display name remembered in localStorage
+ * @returns {[string|null, (name: string|null) => void]}
+ */
+export function useDisplayName() {
+  const [displayName, setDisplayNameState] = useState(loadDisplayName);
+
+  const setDisplayName = useCallback((name) => {
+    saveDisplayName(name);
+    setDisplayNameState(name);
+  }, []);
+
+  return [displayName, setDisplayName];
+}
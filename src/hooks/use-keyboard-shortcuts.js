@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react';
+
+// Keys that activate a focused button/switch themselves
+const ACTIVATION_KEYS = new Set([' ', 'Enter']);
+const CONTROL_SELECTOR = 'button, a[href], [role="button"], [role="switch"], [role="checkbox"], [role="menuitem"]';
+
+/**
+ * Whether a keystroke belongs to whatever has focus rather than to us:
+ * typing in a field, anything inside a dialog, menu or open select, or
+ * Space/Enter on a focused button
+ */
+const isOwnedByTarget = (event) => {
+  const target = event.target;
+  if (!(target instanceof Element)) return false;
+
+  if (target.isContentEditable || target.closest('input, textarea, select')) {
+    return true;
+  }
+  if (target.closest('[role="dialog"], [role="alertdialog"], [role="menu"], [role="listbox"]')) {
+    return true;
+  }
+  return ACTIVATION_KEYS.has(event.key) && !!target.closest(CONTROL_SELECTOR);
+};
+
+/**
+ * Global keyboard shortcuts
+ *
+ * Bindings match KeyboardEvent.key ('k', ' ', 'ArrowLeft', '?', ...) and
+ * never fire with Ctrl/Cmd/Alt held, so browser and OS shortcuts still
+ * work. The latest bindings are always used, so handlers can close over
+ * render state without re-subscribing.
+ *
+ * @param {Array<{keys: string[], run: () => void}>} bindings
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true]
+ */
+export function useKeyboardShortcuts(bindings, { enabled = true } = {}) {
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isOwnedByTarget(event)) return;
+
+      const binding = bindingsRef.current.find(({ keys }) => keys.includes(event.key));
+      if (binding) {
+        event.preventDefault(); // e.g. Space would scroll the page
+        binding.run();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
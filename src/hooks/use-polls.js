@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Room polls, including votes to skip the current video
+ *
+ * Protocol:
+ *   poll:list    ← [poll]                       Sent on connect and on every change
+ *   poll:create  → { question, options }
+ *   poll:skip    →                              Vote to skip the current video
+ *   poll:vote    → { pollId, optionIndex }      Once per poll
+ *   poll:close   → { pollId }                   Creator, host or moderator
+ *
+ * poll: { id, kind, question, options: [{ text, votes }], voters, createdBy,
+ *         creatorName, createdAt, videoId, needed, closedAt, outcome }
+ *
+ * Skipping is up to the server: once a skip poll's first option has
+ * `needed` votes it skips and the new video arrives in session:state.
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js; null until created)
+ */
+export function usePolls(transport) {
+  const [polls, setPolls] = useState([]);
+
+  useEffect(() => {
+    if (!transport) return;
+    return transport.on('poll:list', setPolls);
+  }, [transport]);
+
+  const createPoll = useCallback((question, options) => {
+    transport?.emit('poll:create', { question, options });
+  }, [transport]);
+
+  const startSkipVote = useCallback(() => transport?.emit('poll:skip'), [transport]);
+
+  const vote = useCallback((pollId, optionIndex) => {
+    transport?.emit('poll:vote', { pollId, optionIndex });
+  }, [transport]);
+
+  const closePoll = useCallback((pollId) => transport?.emit('poll:close', { pollId }), [transport]);
+
+  return { polls, createPoll, startSkipVote, vote, closePoll };
+}
@@ -0,0 +1,39 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Room participant list, and reporting our own playback status to it
+ *
+ * Protocol:
+ *   presence:list    ← [participant]   Broadcast whenever anyone joins, leaves or changes status
+ *   presence:status  → { status }
+ *
+ * participant: { id, name, connection: 'connected' | 'disconnected',
+ *                status: 'idle' | 'playing' | 'paused' | 'buffering' | 'awaiting-sync', joinedAt }
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js)
+ * @param {string} status - Our current status
+ */
+export function usePresence(transport, status) {
+  const [participants, setParticipants] = useState([]);
+  const statusRef = useRef(status); // Latest status, for re-reporting on reconnect
+
+  useEffect(() => {
+    if (!transport) return;
+
+    const unsubscribers = [
+      transport.on('presence:list', setParticipants),
+      // The server starts every connection as 'idle', so re-report on reconnect
+      transport.on('connect', () => transport.emit('presence:status', { status: statusRef.current }))
+    ];
+    return () => unsubscribers.forEach((off) => off());
+  }, [transport]);
+
+  useEffect(() => {
+    statusRef.current = status;
+    if (transport && transport.isConnected()) {
+      transport.emit('presence:status', { status });
+    }
+  }, [transport, status]);
+
+  return participants;
+}
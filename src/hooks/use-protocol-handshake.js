@@ -0,0 +1,18 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { INITIAL_HANDSHAKE_STATE } from '@/lib/protocol-handshake';
+
+const noopUnsubscribe = () => {};
+
+/**
+ * Subscribes a component to a protocol handshake's state
+ * Reports 'pending' until a handshake exists
+ */
+export function useProtocolHandshake(handshake) {
+  const subscribe = useCallback(
+    (onChange) => (handshake ? handshake.subscribe(onChange) : noopUnsubscribe),
+    [handshake]
+  );
+  const getSnapshot = () => (handshake ? handshake.getState() : INITIAL_HANDSHAKE_STATE);
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { REACTION_RATE_LIMIT } from '@/lib/protocol.mjs';
+import { loadReactionPreferences, saveReactionPreferences } from '@/lib/reaction-preferences';
+
+export const REACTION_DURATION = 3000; // ms a reaction floats over the video
+const MAX_FLOATING = 30; // Oldest dropped first when the room gets excited
+
+/**
+ * Emoji reactions over the watch-party socket
+ *
+ * Protocol:
+ *   reaction  → { reaction }                              reaction is a key of REACTIONS
+ *   reaction  ← { id, senderId, name, reaction, sentAt }  Broadcast to the room, sender included
+ *
+ * Received reactions float for REACTION_DURATION and are then dropped.
+ * Sends are limited locally to REACTION_RATE_LIMIT (the server enforces
+ * the same limit), and `coolingDown` is true while we're at it.
+ *
+ * "Hide reactions" is remembered in localStorage; while hidden, incoming
+ * reactions are ignored rather than kept offscreen.
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js; null until created)
+ */
+export function useReactions(transport) {
+  const [floating, setFloating] = useState([]); // [{ ...reaction, left }]
+  const [preferences, setPreferences] = useState(loadReactionPreferences);
+  const [coolingDown, setCoolingDown] = useState(false);
+  const hiddenRef = useRef(preferences.hidden);
+  const sentAtRef = useRef([]); // Our recent send times (local clock)
+  const timersRef = useRef(new Set());
+
+  const later = (callback, delay) => {
+    const timer = setTimeout(() => {
+      timersRef.current.delete(timer);
+      callback();
+    }, delay);
+    timersRef.current.add(timer);
+  };
+
+  useEffect(() => {
+    if (!transport) return;
+
+    return transport.on('reaction', (reaction) => {
+      if (hiddenRef.current) return;
+      const left = 10 + Math.random() * 80; // % across the video, so bursts don't stack
+      setFloating((prev) => [...prev, { ...reaction, left }].slice(-MAX_FLOATING));
+      later(() => setFloating((prev) => prev.filter((item) => item.id !== reaction.id)), REACTION_DURATION);
+    });
+  }, [transport]);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => timers.forEach(clearTimeout);
+  }, []);
+
+  /**
+   * @returns {boolean} false if we're offline or over the rate limit
+   */
+  const sendReaction = useCallback((reaction) => {
+    if (!transport || !transport.isConnected()) {
+      return false;
+    }
+    const now = Date.now();
+    const recent = sentAtRef.current.filter((time) => now - time < REACTION_RATE_LIMIT.windowMs);
+    if (recent.length >= REACTION_RATE_LIMIT.count) {
+      return false;
+    }
+    sentAtRef.current = [...recent, now];
+    transport.emit('reaction', { reaction });
+
+    if (sentAtRef.current.length >= REACTION_RATE_LIMIT.count) {
+      setCoolingDown(true);
+      later(() => setCoolingDown(false), REACTION_RATE_LIMIT.windowMs - (now - sentAtRef.current[0]));
+    }
+    return true;
+  }, [transport]);
+
+  const setHidden = useCallback((hidden) => {
+    hiddenRef.current = hidden;
+    if (hidden) {
+      setFloating([]);
+    }
+    setPreferences((prev) => {
+      const next = { ...prev, hidden };
+      saveReactionPreferences(next);
+      return next;
+    });
+  }, []);
+
+  return { reactions: floating, sendReaction, coolingDown, hidden: preferences.hidden, setHidden };
+}
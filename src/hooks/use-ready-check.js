@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from 'react';
+
+export const NO_READY_CHECK = { checkId: null, startedBy: null, confirmed: [], startsAt: null };
+
+/**
+ * The room's ready check
+ *
+ * Protocol:
+ *   ready:state     ← { checkId, startedBy, confirmed, startsAt }   Sent on connect and on every change
+ *   ready:start     →                                               Host only
+ *   ready:confirm   → { checkId }
+ *   ready:override  →                                               Host: count down now
+ *   ready:cancel    →                                               Host
+ *
+ * `startsAt` is server time (ms). The server starts playback when it's
+ * reached, and so does every client's own player (engine.playAt, on the
+ * clock-synced server time), so nobody waits for the snapshot to arrive.
+ * Starting, confirming and overriding are clicks, so they count as the user
+ * gesture browsers want before a player may start with sound.
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js; null until created)
+ * @param {Object|null} engine - Sync engine (lib/sync-engine.js; null until created)
+ */
+export function useReadyCheck(transport, engine) {
+  const [readyCheck, setReadyCheck] = useState(NO_READY_CHECK);
+
+  useEffect(() => {
+    if (!transport) return;
+
+    const unsubscribers = [
+      transport.on('ready:state', setReadyCheck),
+      transport.on('disconnect', () => setReadyCheck(NO_READY_CHECK)) // The server resends it on reconnect
+    ];
+    return () => unsubscribers.forEach((off) => off());
+  }, [transport]);
+
+  // Cancelled if the check is, or the countdown moves
+  const { startsAt } = readyCheck;
+  useEffect(() => {
+    if (!engine || startsAt === null) return;
+    return engine.playAt(startsAt);
+  }, [engine, startsAt]);
+
+  const startCheck = useCallback(() => {
+    engine?.markInteracted();
+    transport?.emit('ready:start');
+  }, [transport, engine]);
+  const confirm = useCallback(() => {
+    if (readyCheck.checkId) {
+      engine?.markInteracted();
+      transport?.emit('ready:confirm', { checkId: readyCheck.checkId });
+    }
+  }, [transport, engine, readyCheck.checkId]);
+  const override = useCallback(() => {
+    engine?.markInteracted();
+    transport?.emit('ready:override');
+  }, [transport, engine]);
+  const cancel = useCallback(() => transport?.emit('ready:cancel'), [transport]);
+
+  return { readyCheck, startCheck, confirm, override, cancel };
+}
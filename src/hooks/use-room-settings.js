@@ -0,0 +1,28 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_ROOM_SETTINGS } from '@/lib/roles';
+
+/**
+ * Room settings, and (for the host) changing them
+ *
+ * Protocol:
+ *   room:settings         ← settings     Sent on connect and broadcast on every change
+ *   room:update-settings  → patch        Host only; rejections arrive as session:error
+ *
+ * @param {Object|null} transport - Socket transport (lib/socket-transport.js)
+ * @returns {[Object, (patch: Object) => void]}
+ */
+export function useRoomSettings(transport) {
+  const [settings, setSettings] = useState(DEFAULT_ROOM_SETTINGS);
+
+  useEffect(() => {
+    if (!transport) return;
+
+    return transport.on('room:settings', (next) => setSettings({ ...DEFAULT_ROOM_SETTINGS, ...next }));
+  }, [transport]);
+
+  const updateSettings = useCallback((patch) => {
+    transport?.emit('room:update-settings', patch);
+  }, [transport]);
+
+  return [settings, updateSettings];
+}
@@ -0,0 +1,18 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { INITIAL_STATE } from '@/lib/sync-engine';
+
+const noopUnsubscribe = () => {};
+
+/**
+ * Subscribes a component to a sync engine's state
+ * Returns INITIAL_STATE until an engine exists
+ */
+export function useSyncEngineState(engine) {
+  const subscribe = useCallback(
+    (onChange) => (engine ? engine.subscribe(onChange) : noopUnsubscribe),
+    [engine]
+  );
+  const getSnapshot = () => (engine ? engine.getState() : INITIAL_STATE);
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadWatchHistory, saveWatchHistory, MAX_HISTORY_ENTRIES } from '@/lib/watch-history';
+
+const PROGRESS_INTERVAL = 5000; // How often the current entry's progress is saved (ms)
+
+/**
+ * Every video played in a room, remembered in localStorage per room
+ *
+ * A new entry is started whenever the room's video changes; while it plays,
+ * how far we got (and the title, once the player knows it) is written back
+ * every few seconds and when the video changes or we leave. History is what
+ * this browser saw, so joining mid-video records that video too.
+ *
+ * @param {string} roomId - Fixed for the hook's lifetime (WatchParty is remounted per room)
+ * @param {Object} video - From engine state
+ * @param {string|null} video.videoId
+ * @param {string} video.sourceType
+ * @param {string|null} [video.addedBy] - Name of whoever loaded it
+ * @param {() => {currentTime: number, duration: number|null, title: string|null}|null} getProgress
+ *   - Reads the player; null while there is none
+ * @returns {{entries: Array, currentEntryId: string|null, clearHistory: () => void}}
+ */
+export function useWatchHistory(roomId, { videoId, sourceType, addedBy = null }, getProgress) {
+  const [entries, setEntries] = useState(() => loadWatchHistory(roomId));
+  const getProgressRef = useRef(getProgress); // Latest reader, without restarting the interval
+  // Only read when an entry is created, so a late name for the same video doesn't restart tracking
+  const addedByRef = useRef(addedBy);
+  const currentRef = useRef(null); // { id, videoId, sourceType } of the entry being tracked
+  getProgressRef.current = getProgress;
+  addedByRef.current = addedBy;
+
+  const updateEntries = useCallback((update) => {
+    setEntries((prev) => {
+      const next = update(prev).slice(0, MAX_HISTORY_ENTRIES);
+      saveWatchHistory(roomId, next);
+      return next;
+    });
+  }, [roomId]);
+
+  useEffect(() => {
+    if (!videoId) {
+      currentRef.current = null;
+      return;
+    }
+
+    // Re-running for the video we're already tracking (e.g. a remount) keeps its entry
+    const current = currentRef.current;
+    if (!current || current.videoId !== videoId || current.sourceType !== sourceType) {
+      const entry = {
+        id: `${Date.now()}-${videoId}`,
+        videoId,
+        sourceType,
+        title: null,
+        addedBy: addedByRef.current,
+        playedAt: Date.now(),
+        furthest: 0,
+        duration: null
+      };
+      currentRef.current = { id: entry.id, videoId, sourceType };
+      updateEntries((prev) => [entry, ...prev]);
+    }
+    const entryId = currentRef.current.id;
+
+    const saveProgress = () => {
+      const progress = getProgressRef.current();
+      if (!progress) return;
+      updateEntries((prev) => prev.map((entry) => (entry.id === entryId
+        ? {
+          ...entry,
+          furthest: Math.max(entry.furthest, progress.currentTime || 0),
+          duration: progress.duration || entry.duration,
+          title: progress.title || entry.title
+        }
+        : entry)));
+    };
+
+    const interval = setInterval(saveProgress, PROGRESS_INTERVAL);
+    return () => {
+      clearInterval(interval);
+      saveProgress();
+    };
+  }, [videoId, sourceType, updateEntries]);
+
+  const clearHistory = useCallback(() => {
+    currentRef.current = null;
+    updateEntries(() => []);
+  }, [updateEntries]);
+
+  // Read during render: the entry is created in an effect that also updates `entries`
+  return { entries, currentEntryId: currentRef.current?.id ?? null, clearHistory };
+}
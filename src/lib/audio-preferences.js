@@ -0,0 +1,33 @@
+import { z } from 'zod';
+
+const AUDIO_PREFERENCES_KEY = 'watch-party:audio';
+
+/**
+ * Volume is per viewer and never synced: 0-100, like the YouTube API
+ */
+export const audioPreferencesSchema = z.object({
+  volume: z.number().int().min(0).max(100),
+  muted: z.boolean()
+});
+
+export const DEFAULT_AUDIO_PREFERENCES = { volume: 100, muted: false };
+
+/**
+ * @returns {{volume: number, muted: boolean}} The remembered preferences, or the defaults
+ */
+export const loadAudioPreferences = () => {
+  try {
+    const result = audioPreferencesSchema.safeParse(JSON.parse(localStorage.getItem(AUDIO_PREFERENCES_KEY)));
+    return result.success ? result.data : DEFAULT_AUDIO_PREFERENCES;
+  } catch (e) {
+    return DEFAULT_AUDIO_PREFERENCES; // Storage disabled or not JSON
+  }
+};
+
+export const saveAudioPreferences = (preferences) => {
+  try {
+    localStorage.setItem(AUDIO_PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (e) {
+    // Storage disabled - the volume just won't be remembered
+  }
+};
@@ -0,0 +1,47 @@
+const CLIENT_ID_KEY = 'watch-party:client-id';
+const CLIENT_SECRET_KEY = 'watch-party:client-secret';
+
+const fallbacks = {}; // key → value, when sessionStorage is unavailable, so values are at least stable per page load
+
+const generateClientId = () => `c-${Math.random().toString(36).slice(2, 12)}`;
+
+const generateSecret = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(16)),
+  (byte) => byte.toString(16).padStart(2, '0')
+).join('');
+
+/**
+ * Reads a per-tab value from sessionStorage, creating it on first use
+ */
+const getTabValue = (key, generate) => {
+  try {
+    let value = sessionStorage.getItem(key);
+    if (!value) {
+      value = generate();
+      sessionStorage.setItem(key, value);
+    }
+    return value;
+  } catch (e) {
+    // Storage disabled - one value per page load still works, reloads just look like new viewers
+    fallbacks[key] = fallbacks[key] || generate();
+    return fallbacks[key];
+  }
+};
+
+/**
+ * Stable ID for this browser tab
+ *
+ * Sent in the socket handshake so the server can tell a reconnect from a new
+ * viewer (socket IDs change on every connection). Kept in sessionStorage so
+ * two tabs count as two participants.
+ */
+export const getClientId = () => getTabValue(CLIENT_ID_KEY, generateClientId);
+
+/**
+ * Private counterpart to the client ID
+ *
+ * The client ID is public (everyone sees it in presence:list), so the server
+ * only lets a connection take over a participant, role included, if it also
+ * sends the secret that participant joined with. Never shown or broadcast.
+ */
+export const getClientSecret = () => getTabValue(CLIENT_SECRET_KEY, generateSecret);
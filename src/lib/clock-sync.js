@@ -0,0 +1,130 @@
+/**
+ * NTP-style client/server clock synchronisation
+ *
+ * Each round sends a ping stamped with the client send time (t0). The server
+ * replies with the time it received the ping (t1) and the time it answered
+ * (t2), and we stamp the reply on arrival (t3):
+ *
+ *   rtt    = (t3 - t0) - (t2 - t1)
+ *   offset = ((t1 - t0) + (t2 - t3)) / 2      (server clock - client clock)
+ *
+ * A single sample is noisy: queuing delay is rarely symmetric. We keep a
+ * sliding window of samples and trust the ones with the lowest RTT, since
+ * those had the least room for asymmetric delay.
+ */
+
+const DEFAULTS = {
+  windowSize: 8,        // Samples kept in the sliding window
+  burstSize: 5,         // Rounds fired right after (re)connecting
+  burstInterval: 150,   // ms between burst rounds
+  interval: 15000,      // ms between steady-state rounds
+  maxRtt: 5000          // Samples slower than this are discarded
+};
+
+/**
+ * Reduces a window of samples to a single offset/RTT estimate
+ *
+ * Offset: mean of the best third of samples by RTT (at least one)
+ * RTT:    median of the window (what a typical packet actually experiences)
+ *
+ * @param {Array<{offset: number, rtt: number}>} samples
+ * @returns {{offset: number, rtt: number} | null}
+ */
+export const estimateFromSamples = (samples) => {
+  if (!samples.length) {
+    return null;
+  }
+
+  const byRtt = [...samples].sort((a, b) => a.rtt - b.rtt);
+  const best = byRtt.slice(0, Math.max(1, Math.ceil(byRtt.length / 3)));
+  const offset = best.reduce((sum, s) => sum + s.offset, 0) / best.length;
+
+  const mid = Math.floor(byRtt.length / 2);
+  const rtt = byRtt.length % 2
+    ? byRtt[mid].rtt
+    : (byRtt[mid - 1].rtt + byRtt[mid].rtt) / 2;
+
+  return { offset, rtt };
+};
+
+/**
+ * Creates a clock-sync instance
+ *
+ * @param {Object} options
+ * @param {(clientSentAt: number) => Promise<{serverReceivedAt: number, serverSentAt: number}>} options.ping
+ *   Sends one ping round to the server and resolves with its timestamps
+ * @param {() => number} [options.now] - Local clock in ms (injectable for tests)
+ */
+export const createClockSync = ({ ping, now = Date.now, ...overrides }) => {
+  const config = { ...DEFAULTS, ...overrides };
+
+  let samples = [];
+  let estimate = null;
+  let timer = null;
+  let generation = 0; // Bumped on start/stop so rounds from an old run can't reschedule
+
+  /**
+   * Records one completed round. Returns false if the sample was rejected.
+   */
+  const addSample = (t0, t1, t2, t3) => {
+    const rtt = (t3 - t0) - (t2 - t1);
+    if (!Number.isFinite(rtt) || rtt < 0 || rtt > config.maxRtt) {
+      return false;
+    }
+
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+    samples = [...samples, { offset, rtt }].slice(-config.windowSize);
+    estimate = estimateFromSamples(samples);
+    return true;
+  };
+
+  const runRound = async (run) => {
+    const t0 = now();
+    try {
+      const { serverReceivedAt, serverSentAt } = await ping(t0);
+      if (run === generation) {
+        addSample(t0, serverReceivedAt, serverSentAt, now());
+      }
+    } catch (e) {
+      // Lost or timed-out round - the next one will try again
+    }
+  };
+
+  const schedule = (run, roundsLeftInBurst) => {
+    if (run !== generation) return;
+
+    const delay = roundsLeftInBurst > 0 ? config.burstInterval : config.interval;
+    timer = setTimeout(async () => {
+      await runRound(run);
+      schedule(run, roundsLeftInBurst - 1);
+    }, delay);
+  };
+
+  /**
+   * Starts (or restarts) syncing with a fresh window. Call on every connect:
+   * after a reconnect we may be talking to a different server process.
+   */
+  const start = () => {
+    stop();
+    samples = [];
+    estimate = null;
+    const run = generation;
+    runRound(run).then(() => schedule(run, config.burstSize - 1));
+  };
+
+  const stop = () => {
+    generation += 1;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return {
+    start,
+    stop,
+    addSample,
+    isSynced: () => estimate !== null,
+    getOffset: () => (estimate ? estimate.offset : 0),
+    getRtt: () => (estimate ? estimate.rtt : null),
+    serverNow: () => now() + (estimate ? estimate.offset : 0)
+  };
+};
@@ -0,0 +1,176 @@
+import { createClockSync, estimateFromSamples } from './clock-sync';
+
+const ONE_WAY_DELAY = 20; // ms each way, so every round has a 40ms RTT
+
+/**
+ * Local clock plus a server whose clock runs `serverOffset` ms ahead of it
+ */
+const createNetwork = ({ serverOffset }) => {
+  const network = {
+    local: 1000000,
+    serverOffset,
+    pings: 0,
+    now: () => network.local,
+    ping: async () => {
+      network.pings += 1;
+      network.local += ONE_WAY_DELAY;
+      const serverReceivedAt = network.local + network.serverOffset;
+      network.local += ONE_WAY_DELAY;
+      return { serverReceivedAt, serverSentAt: serverReceivedAt };
+    }
+  };
+  return network;
+};
+
+// Lets pending ping promises settle between fake timer steps
+const flush = async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+describe('estimateFromSamples', () => {
+  it('takes the offset from the lowest-RTT samples and the median RTT', () => {
+    const estimate = estimateFromSamples([
+      { offset: 500, rtt: 400 },
+      { offset: 100, rtt: 10 },
+      { offset: 300, rtt: 200 },
+      { offset: 120, rtt: 30 },
+      { offset: 400, rtt: 300 },
+      { offset: 350, rtt: 250 }
+    ]);
+    expect(estimate.offset).toBe(110); // Best third: the 10ms and 30ms samples
+    expect(estimate.rtt).toBe(225); // Median of 6
+  });
+
+  it('returns null without samples', () => {
+    expect(estimateFromSamples([])).toBeNull();
+  });
+});
+
+describe('createClockSync', () => {
+  it('reads a server that is ahead as a positive offset', () => {
+    const network = createNetwork({ serverOffset: 5000 });
+    const clock = createClockSync({ ping: network.ping, now: network.now });
+
+    // Sent at 0, server stamps 5010 on both ends, back at 20
+    clock.addSample(0, 5010, 5010, 20);
+    expect(clock.getOffset()).toBe(5000);
+    expect(clock.serverNow()).toBe(network.local + 5000);
+  });
+
+  it('reads a server that is behind as a negative offset', () => {
+    const clock = createClockSync({ ping: () => new Promise(() => {}), now: () => 0 });
+
+    clock.addSample(1000, 10, 10, 1020);
+    expect(clock.getOffset()).toBe(-1000);
+  });
+
+  it('trusts the fastest round over slow, lopsided ones', () => {
+    const clock = createClockSync({ ping: () => new Promise(() => {}), now: () => 0, windowSize: 3 });
+
+    // True offset 0; slow rounds spent most of their time on the uplink
+    clock.addSample(0, 380, 380, 400);
+    clock.addSample(1000, 1010, 1010, 1020);
+    clock.addSample(2000, 2290, 2290, 2300);
+    expect(clock.getOffset()).toBe(0);
+    expect(clock.getRtt()).toBe(300);
+  });
+
+  it('discards impossible and overly slow rounds', () => {
+    const clock = createClockSync({ ping: () => new Promise(() => {}), now: () => 0, maxRtt: 1000 });
+
+    expect(clock.addSample(100, 50, 50, 90)).toBe(false); // Reply before the ping
+    expect(clock.addSample(0, 1000, 1000, 2000)).toBe(false);
+    expect(clock.isSynced()).toBe(false);
+    expect(clock.serverNow()).toBe(0); // Local clock until there's a sample
+  });
+
+  describe('rounds', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('bursts on start, then settles to the steady interval', async () => {
+      const network = createNetwork({ serverOffset: 250 });
+      const clock = createClockSync({ ping: network.ping, now: network.now, burstSize: 3, burstInterval: 100, interval: 10000 });
+
+      clock.start();
+      await flush();
+      expect(network.pings).toBe(1);
+      expect(clock.getOffset()).toBe(250);
+
+      jest.advanceTimersByTime(100);
+      await flush();
+      jest.advanceTimersByTime(100);
+      await flush();
+      expect(network.pings).toBe(3);
+
+      jest.advanceTimersByTime(9999);
+      await flush();
+      expect(network.pings).toBe(3);
+      jest.advanceTimersByTime(1);
+      await flush();
+      expect(network.pings).toBe(4);
+      clock.stop();
+    });
+
+    it('follows a server clock change once the old samples leave the window', async () => {
+      const network = createNetwork({ serverOffset: 250 });
+      const clock = createClockSync({ ping: network.ping, now: network.now, windowSize: 3, burstSize: 1, interval: 1000 });
+
+      clock.start();
+      await flush();
+      for (let round = 0; round < 2; round += 1) {
+        jest.advanceTimersByTime(1000);
+        await flush();
+      }
+      expect(clock.getOffset()).toBe(250);
+
+      network.serverOffset = 900;
+      jest.advanceTimersByTime(1000);
+      await flush();
+      expect(clock.getOffset()).toBe(250); // The old samples were just as fast, so they still count
+
+      for (let round = 0; round < 2; round += 1) {
+        jest.advanceTimersByTime(1000);
+        await flush();
+      }
+      expect(clock.getOffset()).toBe(900);
+      clock.stop();
+    });
+
+    it('starts a fresh window on restart (e.g. after reconnecting to a new server)', async () => {
+      const network = createNetwork({ serverOffset: 250 });
+      const clock = createClockSync({ ping: network.ping, now: network.now, burstSize: 1 });
+
+      clock.start();
+      await flush();
+      expect(clock.getOffset()).toBe(250);
+
+      network.serverOffset = -400;
+      clock.start();
+      await flush();
+      expect(clock.getOffset()).toBe(-400);
+      clock.stop();
+    });
+
+    it('ignores a round that answers after stop()', async () => {
+      let answer;
+      const clock = createClockSync({
+        ping: () => new Promise((resolve) => { answer = resolve; }),
+        now: () => 0
+      });
+
+      clock.start();
+      clock.stop();
+      answer({ serverReceivedAt: 100, serverSentAt: 100 });
+      await flush();
+      expect(clock.isSynced()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Command registry (backs the Ctrl/Cmd+K palette)
+ *
+ * Features register the commands they own, so the palette never needs to
+ * know about them and new features show up in it automatically. Each owner
+ * registers a list under its own key and replaces it whenever it re-renders.
+ *
+ * Command shape:
+ *   {
+ *     id: 'playback.toggle',          Unique across owners
+ *     label: 'Pause',                 What the palette shows
+ *     group: 'Playback',              Heading it's listed under
+ *     keywords?: ['stop', 'resume'],  Extra search terms
+ *     shortcut?: 'Space',             Shown next to the label
+ *     disabled?: boolean,
+ *     input?: { placeholder, validate?(value) → error message | null },
+ *     run(value?)                     value is the typed input, for commands with `input`
+ *   }
+ *
+ * Owners re-register on every render, with fresh `run` closures. The
+ * palette only re-renders when something it shows changes, and always runs
+ * the latest closure.
+ */
+
+/**
+ * Everything about a list of commands the palette renders (not the closures)
+ */
+const describe = (commands) => JSON.stringify(commands.map(({ run, input, ...shown }) => ({
+  ...shown,
+  input: input?.placeholder
+})));
+
+export const createCommandRegistry = () => {
+  const owners = new Map(); // ownerId → commands
+  const descriptions = new Map(); // ownerId → describe(commands)
+  const listeners = new Set();
+  let commands = []; // Flattened, in registration order
+
+  const publish = () => {
+    commands = [...owners.values()].flat();
+    listeners.forEach((listener) => listener());
+  };
+
+  /**
+   * Registers (or replaces) one owner's commands
+   */
+  const register = (ownerId, ownerCommands) => {
+    owners.set(ownerId, ownerCommands);
+    const description = describe(ownerCommands);
+    if (descriptions.get(ownerId) !== description) {
+      descriptions.set(ownerId, description);
+      publish();
+    }
+  };
+
+  const unregister = (ownerId) => {
+    if (owners.delete(ownerId)) {
+      descriptions.delete(ownerId);
+      publish();
+    }
+  };
+
+  /**
+   * Latest registered version of a command
+   */
+  const get = (id) => {
+    for (const ownerCommands of owners.values()) {
+      const command = ownerCommands.find((candidate) => candidate.id === id);
+      if (command) return command;
+    }
+    return null;
+  };
+
+  return {
+    register,
+    unregister,
+    get,
+    getCommands: () => commands,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,46 @@
+import { formatTime } from '@/lib/format-time';
+import { SOURCE_TYPES, toVideoUrl } from '@/components/players';
+
+/**
+ * Link that opens the video at a comment's moment
+ */
+const linkAt = (video, time) => (
+  video.sourceType === SOURCE_TYPES.HTML5
+    ? `${toVideoUrl(video.videoId, video.sourceType)}#t=${Math.floor(time)}`
+    : `${toVideoUrl(video.videoId, video.sourceType)}&t=${Math.floor(time)}s`
+);
+
+/**
+ * @param {{videoId: string, sourceType: string}} video
+ * @param {Array} comments - From useComments
+ * @returns {string} Pretty-printed JSON
+ */
+export const commentsToJson = (video, comments) => JSON.stringify({
+  videoId: video.videoId,
+  sourceType: video.sourceType,
+  exportedAt: new Date().toISOString(),
+  comments: comments.map(({ id, time, name, text, createdAt }) => ({
+    id,
+    time,
+    timestamp: formatTime(time),
+    author: name,
+    text,
+    createdAt: new Date(createdAt).toISOString()
+  }))
+}, null, 2);
+
+/**
+ * One bullet per comment, each timestamp linking to that moment
+ *
+ * @param {{videoId: string, sourceType: string}} video
+ * @param {Array} comments - From useComments
+ * @returns {string}
+ */
+export const commentsToMarkdown = (video, comments) => [
+  `# Comments on ${toVideoUrl(video.videoId, video.sourceType)}`,
+  '',
+  ...comments.map(({ time, name, text }) => (
+    `- [${formatTime(time)}](${linkAt(video, time)}) **${name}**: ${text.replace(/\s*\n\s*/g, ' ')}`
+  )),
+  ''
+].join('\n');
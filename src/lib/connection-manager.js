@@ -0,0 +1,119 @@
+import { log } from '@/lib/logger';
+
+/**
+ * Connection manager
+ *
+ * Tracks a Socket.io client's connection lifecycle as one status the UI
+ * can render, and fills the gaps in Socket.io's own reconnection:
+ *
+ *   connecting    → first connection (or a manual reconnect) in progress
+ *   connected
+ *   reconnecting  → lost the connection, Socket.io is retrying (see attempt)
+ *   failed        → retries ran out, or the server refused us; only
+ *                   reconnect() tries again
+ *
+ * Socket.io doesn't retry when the server closes the connection itself
+ * ('io server disconnect'), so the manager reconnects in that case. A
+ * connection the server refuses outright (a connect_error that leaves the
+ * socket inactive) is final: retrying would only be refused again.
+ * Resyncing session state after a reconnect is the sync engine's job.
+ */
+
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+};
+
+/**
+ * Creates a connection manager
+ *
+ * @param {Object} socket - Socket.io client (created with reconnection enabled)
+ * @returns {{getState, subscribe, reconnect, destroy}}
+ */
+export const createConnectionManager = (socket) => {
+  const manager = socket.io;
+  let hasConnected = false;
+  let state = {
+    status: socket.connected ? CONNECTION_STATUS.CONNECTED : CONNECTION_STATUS.CONNECTING,
+    attempt: 0, // Current retry, 0 when not retrying
+    maxAttempts: manager.reconnectionAttempts()
+  };
+  const listeners = new Set();
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const handleConnect = () => {
+    hasConnected = true;
+    setState({ status: CONNECTION_STATUS.CONNECTED, attempt: 0 });
+  };
+
+  const handleDisconnect = (reason) => {
+    log('Connection lost:', reason);
+    if (reason === 'io client disconnect') {
+      return; // We closed it (e.g. leaving the room)
+    }
+    setState({ status: CONNECTION_STATUS.RECONNECTING, attempt: 0 });
+    if (reason === 'io server disconnect') {
+      socket.connect(); // Socket.io won't retry this one on its own
+    }
+  };
+
+  const handleReconnectAttempt = (attempt) => {
+    setState({
+      status: hasConnected ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CONNECTING,
+      attempt
+    });
+  };
+
+  const handleConnectError = (error) => {
+    if (socket.active) {
+      return; // Temporary failure, Socket.io retries it
+    }
+    log('Server refused the connection:', error.message);
+    setState({ status: CONNECTION_STATUS.FAILED, attempt: 0 });
+  };
+
+  const handleReconnectFailed = () => {
+    log(`Gave up reconnecting after ${state.maxAttempts} attempts`);
+    setState({ status: CONNECTION_STATUS.FAILED, attempt: 0 });
+  };
+
+  socket.on('connect', handleConnect);
+  socket.on('disconnect', handleDisconnect);
+  socket.on('connect_error', handleConnectError);
+  manager.on('reconnect_attempt', handleReconnectAttempt);
+  manager.on('reconnect_failed', handleReconnectFailed);
+
+  /**
+   * Starts a fresh round of attempts (e.g. from a "Reconnect" button)
+   */
+  const reconnect = () => {
+    if (socket.connected) return;
+    setState({ status: CONNECTION_STATUS.CONNECTING, attempt: 0 });
+    socket.connect();
+  };
+
+  const destroy = () => {
+    socket.off('connect', handleConnect);
+    socket.off('disconnect', handleDisconnect);
+    socket.off('connect_error', handleConnectError);
+    manager.off('reconnect_attempt', handleReconnectAttempt);
+    manager.off('reconnect_failed', handleReconnectFailed);
+    listeners.clear();
+  };
+
+  return {
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    reconnect,
+    destroy
+  };
+};
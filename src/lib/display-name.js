@@ -0,0 +1,41 @@
+import { z } from 'zod';
+
+const DISPLAY_NAME_KEY = 'watch-party:display-name';
+
+export const MAX_DISPLAY_NAME_LENGTH = 32;
+
+/**
+ * Display names: trimmed, inner whitespace collapsed, 1-32 characters
+ */
+export const displayNameSchema = z
+  .string()
+  .transform((value) => value.trim().replace(/\s+/g, ' '))
+  .pipe(
+    z.string()
+      .min(1, 'Please enter a name')
+      .max(MAX_DISPLAY_NAME_LENGTH, `Keep it under ${MAX_DISPLAY_NAME_LENGTH} characters`)
+  );
+
+/**
+ * @returns {string|null} The remembered display name, if it's still valid
+ */
+export const loadDisplayName = () => {
+  try {
+    const result = displayNameSchema.safeParse(localStorage.getItem(DISPLAY_NAME_KEY) ?? '');
+    return result.success ? result.data : null;
+  } catch (e) {
+    return null; // Storage disabled
+  }
+};
+
+export const saveDisplayName = (name) => {
+  try {
+    if (name) {
+      localStorage.setItem(DISPLAY_NAME_KEY, name);
+    } else {
+      localStorage.removeItem(DISPLAY_NAME_KEY);
+    }
+  } catch (e) {
+    // Storage disabled - the name just won't be remembered
+  }
+};
@@ -0,0 +1,19 @@
+const REVOKE_DELAY = 1000; // ms; Safari and Firefox cancel downloads whose URL is revoked right after click()
+
+/**
+ * Saves text as a file through a temporary object URL
+ *
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [type] - MIME type
+ */
+export const downloadFile = (filename, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
@@ -0,0 +1,168 @@
+/**
+ * Drift correction controller
+ *
+ * Hard seeks make the player rebuffer, which viewers see as a stutter. Most
+ * drift is small, so instead we briefly play a little faster or slower until
+ * we've caught up, and only seek when we're too far off to catch up quickly:
+ *
+ *   |drift| < deadband         → leave it alone (imperceptible)
+ *   |drift| < seekThreshold    → nudge the playback rate for a bounded time
+ *   otherwise                  → hard seek
+ *
+ * Players with no rate step small enough to nudge with (YouTube only offers
+ * 0.25 steps) can't do the middle band, so they fall back to a coarser
+ * threshold: drift below coarseSeekThreshold is left alone, anything above
+ * it seeks.
+ *
+ * Drift is signed: positive means the local player is behind the target.
+ */
+
+const DEFAULTS = {
+  deadband: 0.05,          // s: ignore drift below this
+  seekThreshold: 1.0,      // s: always hard-seek above this
+  pausedSeekThreshold: 0.1,// s: paused players can't nudge, seek above this
+  coarseSeekThreshold: 0.35,// s: players without fine rate steps seek above this
+  maxRateDelta: 0.05,      // Largest fraction we speed up/slow down (5%, not audible)
+  catchUpWindow: 2000,     // ms: aim to absorb drift over this long
+  maxNudgeDuration: 8000   // ms: nudges that would take longer seek instead
+};
+
+/**
+ * Picks the playback rate to use for a nudge
+ *
+ * Players that report a list of supported rates (YouTube does) get the
+ * closest supported rate on the correct side of the base rate, as long as
+ * it's within `maxDelta` of it: YouTube only offers 0.25 steps, and a 25%
+ * speed change is a glitch, not a nudge. Others get the ideal rate.
+ *
+ * @param {number} idealRate - Already clamped to baseRate ± maxDelta
+ * @param {number} baseRate
+ * @param {number[]} [availableRates]
+ * @param {number} [maxDelta=Infinity] - Largest usable |rate - baseRate|
+ * @returns {number|null} Rate to use, or null if no suitable rate exists
+ */
+export const pickNudgeRate = (idealRate, baseRate, availableRates, maxDelta = Infinity) => {
+  if (!availableRates || !availableRates.length) {
+    return idealRate;
+  }
+
+  const faster = idealRate > baseRate;
+  const candidates = availableRates.filter((rate) => (
+    (faster ? rate > baseRate : rate < baseRate) && Math.abs(rate - baseRate) <= maxDelta + 1e-9
+  ));
+  if (!candidates.length) {
+    return null;
+  }
+
+  return candidates.reduce((best, rate) => (
+    Math.abs(rate - idealRate) < Math.abs(best - idealRate) ? rate : best
+  ));
+};
+
+/**
+ * Creates a drift corrector
+ *
+ * @param {() => Object|null} getPlayer - Returns the current player, which must
+ *   provide getCurrentTime(), seekTo(seconds) and setPlaybackRate(rate), and may
+ *   provide getAvailablePlaybackRates()
+ * @param {Object} [options] - Overrides for DEFAULTS, plus injectable
+ *   setTimeout/clearTimeout for simulated clocks
+ */
+export const createDriftCorrector = (getPlayer, options = {}) => {
+  const {
+    setTimeout: setTimer = setTimeout,
+    clearTimeout: clearTimer = clearTimeout,
+    ...overrides
+  } = options;
+  const config = { ...DEFAULTS, ...overrides };
+
+  let baseRate = 1;
+  let nudgeTimer = null;
+  let nudging = false;
+
+  const restoreRate = () => {
+    clearTimer(nudgeTimer);
+    nudgeTimer = null;
+    if (nudging) {
+      nudging = false;
+      getPlayer()?.setPlaybackRate(baseRate);
+    }
+  };
+
+  const seek = (player, targetTime, drift) => {
+    restoreRate();
+    player.seekTo(targetTime);
+    return { action: 'seek', drift };
+  };
+
+  /**
+   * Brings the player towards targetTime
+   *
+   * @param {number} targetTime - Where the player should be right now (s)
+   * @param {Object} [opts]
+   * @param {boolean} [opts.playing=true] - Paused players are only ever seeked
+   * @returns {{action: 'none'|'nudge'|'seek', drift: number, rate?: number, duration?: number}}
+   */
+  const correct = (targetTime, { playing = true } = {}) => {
+    const player = getPlayer();
+    if (!player) {
+      return { action: 'none', drift: 0 };
+    }
+
+    const drift = targetTime - player.getCurrentTime();
+    const magnitude = Math.abs(drift);
+
+    if (!playing) {
+      restoreRate();
+      return magnitude > config.pausedSeekThreshold
+        ? seek(player, targetTime, drift)
+        : { action: 'none', drift };
+    }
+
+    if (magnitude < config.deadband) {
+      restoreRate();
+      return { action: 'none', drift };
+    }
+
+    if (magnitude > config.seekThreshold) {
+      return seek(player, targetTime, drift);
+    }
+
+    // Rate that absorbs the drift over catchUpWindow, clamped to maxRateDelta
+    const maxDelta = config.maxRateDelta * baseRate;
+    const idealDelta = Math.min(drift / (config.catchUpWindow / 1000), maxDelta);
+    const clampedDelta = Math.max(idealDelta, -maxDelta);
+    const rate = pickNudgeRate(baseRate + clampedDelta, baseRate, player.getAvailablePlaybackRates?.(), maxDelta);
+
+    if (rate === null) {
+      restoreRate();
+      return magnitude > config.coarseSeekThreshold
+        ? seek(player, targetTime, drift)
+        : { action: 'none', drift };
+    }
+
+    // Playing at `rate` gains (rate - baseRate) seconds per second
+    const duration = (magnitude / Math.abs(rate - baseRate)) * 1000;
+    if (duration > config.maxNudgeDuration) {
+      return seek(player, targetTime, drift);
+    }
+
+    clearTimer(nudgeTimer);
+    nudging = true;
+    player.setPlaybackRate(rate);
+    nudgeTimer = setTimer(restoreRate, duration);
+    return { action: 'nudge', drift, rate, duration };
+  };
+
+  return {
+    correct,
+    /** Cancels any nudge in progress (call on local seeks, pauses and video changes) */
+    cancel: restoreRate,
+    /** Sets the rate nudges are relative to and returns to */
+    setBaseRate: (rate) => {
+      baseRate = rate;
+      restoreRate();
+    },
+    isNudging: () => nudging
+  };
+};
@@ -0,0 +1,187 @@
+import { createDriftCorrector, pickNudgeRate } from './drift-correction';
+
+const YOUTUBE_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+/**
+ * Simulated clock plus a player whose position advances with it at the
+ * current playback rate, and timers that fire as the clock passes them
+ */
+const createSimulation = ({ position = 0, availableRates } = {}) => {
+  let now = 0;
+  let timers = [];
+  let nextTimerId = 1;
+
+  const player = {
+    position,
+    rate: 1,
+    seeks: [],
+    rates: [],
+    getCurrentTime: () => player.position,
+    seekTo: (seconds) => {
+      player.position = seconds;
+      player.seeks.push(seconds);
+    },
+    setPlaybackRate: (rate) => {
+      player.rate = rate;
+      player.rates.push(rate);
+    }
+  };
+  if (availableRates) {
+    player.getAvailablePlaybackRates = () => availableRates;
+  }
+
+  const setTimeout = (fn, ms) => {
+    const id = nextTimerId++;
+    timers.push({ id, fn, at: now + ms });
+    return id;
+  };
+  const clearTimeout = (id) => {
+    timers = timers.filter((timer) => timer.id !== id);
+  };
+
+  // One 10ms step: plays the player and fires the timers that came due
+  const tick = () => {
+    now += 10;
+    player.position += 0.01 * player.rate;
+    const due = timers.filter((timer) => timer.at <= now);
+    timers = timers.filter((timer) => timer.at > now);
+    due.forEach((timer) => timer.fn());
+  };
+
+  const advance = (ms) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += 10) {
+      tick();
+    }
+  };
+
+  return { player, advance, timers: { setTimeout, clearTimeout }, now: () => now };
+};
+
+describe('pickNudgeRate', () => {
+  it('returns the ideal rate when the player takes any rate', () => {
+    expect(pickNudgeRate(1.04, 1, undefined, 0.05)).toBe(1.04);
+  });
+
+  it('picks the closest supported rate on the right side of the base rate', () => {
+    expect(pickNudgeRate(0.96, 1, [0.9, 0.95, 1, 1.05], 0.05)).toBe(0.95);
+  });
+
+  it("won't use a supported rate further than maxDelta from the base rate", () => {
+    expect(pickNudgeRate(1.05, 1, YOUTUBE_RATES, 0.05)).toBeNull();
+    expect(pickNudgeRate(0.95, 1, YOUTUBE_RATES, 0.05)).toBeNull();
+  });
+});
+
+describe('createDriftCorrector', () => {
+  it('leaves drift inside the deadband alone', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    expect(corrector.correct(10.04)).toEqual({ action: 'none', drift: expect.closeTo(0.04, 5) });
+    expect(sim.player.seeks).toEqual([]);
+    expect(sim.player.rates).toEqual([]);
+  });
+
+  it('catches up on a player that is behind by playing slightly faster', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    // The target keeps moving at 1x while we correct
+    const result = corrector.correct(10.2);
+    expect(result.action).toBe('nudge');
+    expect(result.rate).toBeGreaterThan(1);
+    expect(result.rate).toBeLessThanOrEqual(1.05);
+    expect(corrector.isNudging()).toBe(true);
+
+    sim.advance(result.duration + 10);
+    const target = 10.2 + sim.now() / 1000;
+    expect(Math.abs(target - sim.player.position)).toBeLessThan(0.05);
+    expect(sim.player.rate).toBe(1);
+    expect(corrector.isNudging()).toBe(false);
+    expect(sim.player.seeks).toEqual([]);
+  });
+
+  it('slows down a player that is ahead', () => {
+    const sim = createSimulation({ position: 10.3 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    const result = corrector.correct(10);
+    expect(result.action).toBe('nudge');
+    expect(result.rate).toBeGreaterThanOrEqual(0.95);
+    expect(result.rate).toBeLessThan(1);
+
+    sim.advance(result.duration + 10);
+    expect(Math.abs(10 + sim.now() / 1000 - sim.player.position)).toBeLessThan(0.05);
+    expect(sim.player.rate).toBe(1);
+  });
+
+  it('hard-seeks past the seek threshold', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    expect(corrector.correct(11.5).action).toBe('seek');
+    expect(sim.player.seeks).toEqual([11.5]);
+    expect(sim.player.rates).toEqual([]);
+  });
+
+  it('seeks instead of nudging when the catch-up would take too long', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    // 0.9s at +5% would take 18s
+    expect(corrector.correct(10.9).action).toBe('seek');
+    expect(sim.player.seeks).toEqual([10.9]);
+  });
+
+  it('leaves small drift alone on players with only coarse YouTube rate steps', () => {
+    const sim = createSimulation({ position: 10, availableRates: YOUTUBE_RATES });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    expect(corrector.correct(10.2).action).toBe('none');
+    expect(corrector.correct(9.7).action).toBe('none');
+    expect(sim.player.seeks).toEqual([]);
+    expect(sim.player.rates).toEqual([]);
+  });
+
+  it('seeks players with only coarse rate steps past the coarse threshold', () => {
+    const sim = createSimulation({ position: 10, availableRates: YOUTUBE_RATES });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    expect(corrector.correct(10.5).action).toBe('seek');
+    expect(sim.player.seeks).toEqual([10.5]);
+    expect(sim.player.rates).toEqual([]);
+  });
+
+  it('nudges relative to the room rate and returns to it', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+    corrector.setBaseRate(2);
+    sim.player.rate = 2;
+
+    const result = corrector.correct(10.3);
+    expect(result.rate).toBeGreaterThan(2);
+    expect(result.rate).toBeLessThanOrEqual(2.1);
+
+    sim.advance(result.duration + 10);
+    expect(sim.player.rate).toBe(2);
+  });
+
+  it('only seeks paused players, with a tighter threshold', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    expect(corrector.correct(10.08, { playing: false }).action).toBe('none');
+    expect(corrector.correct(10.2, { playing: false }).action).toBe('seek');
+    expect(sim.player.rates).toEqual([]);
+  });
+
+  it('cancel() ends a nudge early', () => {
+    const sim = createSimulation({ position: 10 });
+    const corrector = createDriftCorrector(() => sim.player, sim.timers);
+
+    corrector.correct(10.2);
+    corrector.cancel();
+    expect(sim.player.rate).toBe(1);
+    expect(corrector.isNudging()).toBe(false);
+  });
+});
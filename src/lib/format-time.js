@@ -0,0 +1,48 @@
+/**
+ * Formats a playback position as m:ss, or h:mm:ss from an hour up
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatTime = (seconds) => {
+  const total = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+const CLOCK_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})$/; // m:ss or h:mm:ss
+const UNITS_PATTERN = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/; // 1h2m3s, 2m, 45s
+
+/**
+ * Parses a typed or linked timestamp: "90", "1:30", "1:02:03", "1h2m3s"
+ *
+ * @param {string|number} input
+ * @returns {number|null} Seconds, or null if it isn't a timestamp
+ */
+export const parseTime = (input) => {
+  const text = String(input ?? '').trim().toLowerCase();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const clock = text.match(CLOCK_PATTERN);
+  if (clock) {
+    const [, hours = 0, minutes, seconds] = clock;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  const units = text.match(UNITS_PATTERN);
+  if (units && (units[1] || units[2] || units[3])) {
+    const [, hours = 0, minutes = 0, seconds = 0] = units;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  return null;
+};
@@ -0,0 +1,41 @@
+import { formatTime } from '@/lib/format-time';
+import { toVideoUrl } from '@/components/players';
+
+/**
+ * @param {string} roomId
+ * @param {Array} entries - From useWatchHistory, newest first
+ * @returns {string} Pretty-printed JSON
+ */
+export const historyToJson = (roomId, entries) => JSON.stringify({
+  roomId,
+  exportedAt: new Date().toISOString(),
+  history: entries.map((entry) => ({
+    url: toVideoUrl(entry.videoId, entry.sourceType),
+    sourceType: entry.sourceType,
+    title: entry.title,
+    addedBy: entry.addedBy,
+    playedAt: new Date(entry.playedAt).toISOString(),
+    watched: Math.floor(entry.furthest),
+    duration: entry.duration === null ? null : Math.floor(entry.duration)
+  }))
+}, null, 2);
+
+/**
+ * One bullet per play, newest first
+ *
+ * @param {string} roomId
+ * @param {Array} entries - From useWatchHistory, newest first
+ * @returns {string}
+ */
+export const historyToMarkdown = (roomId, entries) => [
+  `# Watch history for room ${roomId}`,
+  '',
+  ...entries.map((entry) => {
+    const watched = entry.duration
+      ? `${formatTime(entry.furthest)} / ${formatTime(entry.duration)}`
+      : formatTime(entry.furthest);
+    const addedBy = entry.addedBy ? `, added by ${entry.addedBy}` : '';
+    return `- [${entry.title || entry.videoId}](${toVideoUrl(entry.videoId, entry.sourceType)}) (${new Date(entry.playedAt).toLocaleString()}${addedBy}, watched ${watched})`;
+  }),
+  ''
+].join('\n');
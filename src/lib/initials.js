@@ -0,0 +1,13 @@
+/**
+ * Avatar initials for a display name ("Ada Lovelace" → "AL", "ada" → "AD")
+ */
+export const getInitials = (name) => {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return '?';
+  }
+  if (words.length === 1) {
+    return words[0].slice(0, 2).toUpperCase();
+  }
+  return (words[0][0] + words[words.length - 1][0]).toUpperCase();
+};
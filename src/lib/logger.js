@@ -0,0 +1,5 @@
+const DEBUG = process.env.NODE_ENV === 'development';
+
+// Conditional logging helper
+export const log = (...args) => DEBUG && console.log(...args);
+export const logError = (...args) => console.error(...args); // Always log errors
@@ -0,0 +1,103 @@
+import { CAPABILITIES, MIN_PEER_VERSION, PROTOCOL_VERSION, checkCompatibility } from '@/lib/protocol.mjs';
+import { log, logError } from '@/lib/logger';
+
+const HELLO_TIMEOUT = 5000; // ms to wait for the server's protocol:hello ack
+
+/**
+ * Protocol handshake
+ *
+ * On every connect the client sends protocol:hello with its protocol
+ * version and capabilities, and the server acks with its own. A new
+ * connection may be a redeployed backend, so this runs again after each
+ * reconnect.
+ *
+ *   pending       → waiting for the server's reply
+ *   compatible    → server capabilities are in `capabilities`
+ *   incompatible  → one side is too old; the UI asks the user to refresh
+ *   unknown       → no reply (a backend that predates the handshake); we
+ *                   carry on as before rather than locking the user out
+ */
+
+export const HANDSHAKE_STATUS = {
+  PENDING: 'pending',
+  COMPATIBLE: 'compatible',
+  INCOMPATIBLE: 'incompatible',
+  UNKNOWN: 'unknown'
+};
+
+export const INITIAL_HANDSHAKE_STATE = {
+  status: HANDSHAKE_STATUS.PENDING,
+  serverVersion: null,
+  capabilities: [], // What the server supports
+  reason: null // Why we're incompatible
+};
+
+/**
+ * Creates a handshake for a transport (see lib/socket-transport.js)
+ *
+ * @param {Object} transport
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {{getState, subscribe, hasCapability, destroy}}
+ */
+export const createProtocolHandshake = (transport, { timeoutMs = HELLO_TIMEOUT } = {}) => {
+  const local = { version: PROTOCOL_VERSION, minVersion: MIN_PEER_VERSION };
+  let state = INITIAL_HANDSHAKE_STATE;
+  let round = 0; // Replies to an older connect are ignored
+  const listeners = new Set();
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const sayHello = async () => {
+    const thisRound = ++round;
+    if (state.status !== HANDSHAKE_STATUS.INCOMPATIBLE) {
+      setState({ status: HANDSHAKE_STATUS.PENDING });
+    }
+
+    let server;
+    try {
+      server = await transport.request('protocol:hello', { ...local, capabilities: CAPABILITIES }, timeoutMs);
+    } catch (e) {
+      if (thisRound !== round) return;
+      log('No protocol:hello reply, assuming a backend that predates the handshake');
+      setState({ status: HANDSHAKE_STATUS.UNKNOWN, serverVersion: null, capabilities: [] });
+      return;
+    }
+    if (thisRound !== round) return;
+
+    const { compatible, reason } = checkCompatibility(local, server);
+    if (!compatible) {
+      logError('Incompatible protocol:', reason);
+    }
+    setState({
+      status: compatible ? HANDSHAKE_STATUS.COMPATIBLE : HANDSHAKE_STATUS.INCOMPATIBLE,
+      serverVersion: server.version,
+      capabilities: server.capabilities,
+      reason: compatible ? null : reason
+    });
+  };
+
+  const unsubscribe = transport.on('connect', sayHello);
+  if (transport.isConnected()) {
+    sayHello();
+  }
+
+  const destroy = () => {
+    round++;
+    unsubscribe();
+    listeners.clear();
+  };
+
+  return {
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    hasCapability: (name) => state.capabilities.includes(name),
+    destroy
+  };
+};
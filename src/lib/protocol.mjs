@@ -0,0 +1,328 @@
+import { z } from 'zod';
+
+/**
+ * Watch-party socket protocol
+ *
+ * One zod schema per Socket.io event, and the single source of truth for
+ * what goes over the wire. Both sides import it: the client through
+ * lib/socket-transport.js, the mock server directly (which is why this is
+ * an .mjs file with no '@/' imports - Node loads it as-is).
+ *
+ * Each side validates what it receives and drops anything that doesn't
+ * match, so a malformed payload is logged once at the boundary instead of
+ * turning into NaN seek targets deep inside the sync engine. The client
+ * also validates what it sends, which catches our own bugs before the
+ * server has to.
+ *
+ * Parsing strips unknown fields and fills the defaults below, so handlers
+ * get exactly the shapes documented here.
+ */
+
+// ============================================================================
+// VERSIONING
+// ============================================================================
+
+/**
+ * Bump PROTOCOL_VERSION whenever the event set or a payload changes. Raise
+ * MIN_PEER_VERSION only when the change breaks older peers: that's what
+ * turns a cached client into a "please refresh" dialog.
+ */
+export const PROTOCOL_VERSION = 8; // v2: playback rate, v3: reactions, v4: comments, v5: ready check, v6: polls, v7: addedBy, v8: queued start times
+export const MIN_PEER_VERSION = 1; // Oldest client (or server) we can still talk to
+
+/**
+ * Optional features a side can advertise in protocol:hello, so the other
+ * side can tell what it supports without comparing version numbers
+ */
+export const CAPABILITIES = [
+  'queue',
+  'chat',
+  'presence',
+  'roles',
+  'buffering-hold',
+  'html5-sources',
+  'playback-rate',
+  'reactions',
+  'comments',
+  'ready-check',
+  'polls'
+];
+
+/**
+ * Room-wide playback speeds (set-rate). YouTube and HTML5 players both
+ * support all of them.
+ */
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+/**
+ * Emoji reactions, sent by name so the server never relays arbitrary text
+ */
+export const REACTIONS = {
+  laugh: '😂',
+  heart: '❤️',
+  shock: '😮',
+  clap: '👏',
+  fire: '🔥',
+  cry: '😢'
+};
+
+/**
+ * Per-sender reaction limit, enforced by the server and mirrored by the
+ * client so the bar goes quiet before the server has to refuse anything
+ */
+export const REACTION_RATE_LIMIT = { count: 5, windowMs: 3000 };
+
+export const MAX_COMMENT_LENGTH = 500; // Characters per timestamped comment
+
+export const READY_COUNTDOWN = 3000; // ms from "everyone's ready" to playback starting
+
+export const POLL_LIMITS = {
+  question: 200, // Characters
+  option: 80, // Characters per option
+  minOptions: 2,
+  maxOptions: 6
+};
+
+/**
+ * Checks both directions of a handshake: each side has to be at least as
+ * new as the other's minimum
+ *
+ * @param {{version: number, minVersion: number}} local
+ * @param {{version: number, minVersion: number}} remote
+ * @returns {{compatible: boolean, reason?: string}}
+ */
+export const checkCompatibility = (local, remote) => {
+  if (local.version < remote.minVersion) {
+    return { compatible: false, reason: `Peer requires protocol v${remote.minVersion}, we speak v${local.version}` };
+  }
+  if (remote.version < local.minVersion) {
+    return { compatible: false, reason: `Peer speaks protocol v${remote.version}, we require v${local.minVersion}` };
+  }
+  return { compatible: true };
+};
+
+// ============================================================================
+// SHARED SHAPES
+// ============================================================================
+
+const sourceType = z.enum(['youtube', 'html5']);
+const role = z.enum(['host', 'moderator', 'viewer']);
+const presenceStatus = z.enum(['idle', 'playing', 'paused', 'buffering', 'awaiting-sync']);
+const playbackTime = z.number().finite().nonnegative(); // Seconds into the video
+const timestamp = z.number().finite(); // Server clock, ms
+const id = z.string().min(1);
+const actionId = z.string().min(1); // Client-generated, echoed back in session:state
+const noPayload = z.object({}).nullish(); // Socket.io sends null for emit(event)
+const reactionName = z.enum(Object.keys(REACTIONS));
+const playbackRate = z.number().refine((rate) => PLAYBACK_RATES.includes(rate), 'Unsupported playback rate');
+
+const hello = z.object({
+  version: z.number().int().positive(),
+  minVersion: z.number().int().positive(),
+  capabilities: z.array(z.string()) // Unknown names are kept: they may come from a newer peer
+});
+
+const queueItem = z.object({
+  id,
+  videoId: id,
+  sourceType: sourceType.optional(),
+  url: z.string(),
+  addedAt: timestamp,
+  addedBy: z.string().nullish(), // Display name; backends before v7 omit it
+  startAt: playbackTime.default(0) // From the link's t= / start=; backends before v8 omit it
+});
+
+const sessionSnapshot = z.object({
+  epoch: z.string().optional(), // Backends that predate epochs omit it
+  version: z.number().int().nonnegative(),
+  videoId: z.string().nullable(),
+  sourceType: sourceType.optional(),
+  addedBy: z.string().nullish(), // Who loaded or queued the current video (display name)
+  isPlaying: z.boolean(),
+  playbackRate: playbackRate.default(1), // Backends that predate set-rate only play at 1x
+  playbackTimeAtLastEvent: playbackTime,
+  lastEventAt: timestamp,
+  serverTime: timestamp,
+  actionId: z.string().nullish(),
+  queue: z.array(queueItem).default([]),
+  holdingFor: z.array(z.string()).default([])
+});
+
+const chatMessage = z.object({
+  id,
+  senderId: id,
+  name: z.string(),
+  text: z.string(),
+  sentAt: timestamp
+});
+
+const reaction = z.object({
+  id,
+  senderId: id,
+  name: z.string(), // Sender's display name
+  reaction: reactionName,
+  sentAt: timestamp
+});
+
+const comment = z.object({
+  id,
+  videoId: id,
+  authorId: id,
+  name: z.string(), // Author's display name when they wrote it
+  time: playbackTime, // Where in the video it's anchored
+  text: z.string(),
+  createdAt: timestamp
+});
+
+const readyCheck = z.object({
+  checkId: z.string().nullable(), // null when no check is running
+  startedBy: z.string().nullable(),
+  confirmed: z.array(z.string()).default([]), // Client IDs that are ready
+  startsAt: timestamp.nullable() // Server time playback starts; set once the countdown begins
+});
+
+const participant = z.object({
+  id,
+  name: z.string(),
+  connection: z.enum(['connected', 'disconnected']),
+  role: role.optional(), // Backends that predate roles omit it
+  status: presenceStatus,
+  joinedAt: timestamp
+});
+
+const roomSettings = z.object({
+  hostOnlyControl: z.boolean(),
+  holdForBuffering: z.boolean(),
+  skipThreshold: z.number().gt(0).max(1) // Share of connected viewers a vote to skip needs
+});
+
+const poll = z.object({
+  id,
+  kind: z.enum(['question', 'skip']), // skip: vote to skip videoId; option 0 is "skip"
+  question: z.string(),
+  options: z.array(z.object({ text: z.string(), votes: z.number().int().nonnegative() })),
+  voters: z.array(z.string()), // Client IDs that have voted (not what they voted)
+  createdBy: id,
+  creatorName: z.string(),
+  createdAt: timestamp,
+  videoId: z.string().nullable(), // The video a skip poll is about
+  needed: z.number().int().nonnegative().nullable(), // Skip votes that would skip it right now
+  closedAt: timestamp.nullable(),
+  outcome: z.string().nullable() // Why it closed, e.g. "Skipped"
+});
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Client → server
+ */
+export const CLIENT_EVENTS = {
+  'protocol:hello': hello, // Sent on every connect, answered by ack
+
+  'change-video': z.object({
+    url: z.string().min(1),
+    sourceType: sourceType.optional(),
+    currentTime: playbackTime.optional(),
+    isPlaying: z.boolean().optional(),
+    actionId: actionId.optional()
+  }),
+  play: z.object({ currentTime: playbackTime, actionId: actionId.optional() }),
+  pause: z.object({ currentTime: playbackTime, actionId: actionId.optional() }),
+  seek: z.object({ currentTime: playbackTime, actionId: actionId.optional() }),
+  'set-rate': z.object({ rate: playbackRate, currentTime: playbackTime, actionId: actionId.optional() }),
+  'request-session-state': noPayload,
+
+  'queue:add': z.object({ url: z.string().min(1), sourceType: sourceType.optional(), startAt: playbackTime.optional() }),
+  'queue:remove': z.object({ itemId: id }),
+  'queue:move': z.object({ itemId: id, toIndex: z.number().int().nonnegative() }),
+  'queue:advance': z.object({ fromVideoId: id }),
+
+  'buffering:start': z.object({ currentTime: playbackTime.optional() }),
+  'buffering:end': z.object({ currentTime: playbackTime.optional() }),
+
+  'clock:ping': z.object({ clientSentAt: timestamp }),
+
+  'chat:message': z.object({ text: z.string() }),
+  reaction: z.object({ reaction: reactionName }),
+  'comment:add': z.object({ videoId: id, time: playbackTime, text: z.string() }),
+  'comment:remove': z.object({ videoId: id, commentId: id }),
+  'comments:request': z.object({ videoId: id }),
+  'ready:start': noPayload, // Host only
+  'ready:confirm': z.object({ checkId: id }),
+  'ready:override': noPayload, // Host: start the countdown without waiting
+  'ready:cancel': noPayload, // Host
+  'poll:create': z.object({
+    question: z.string().min(1).max(POLL_LIMITS.question),
+    options: z.array(z.string().min(1).max(POLL_LIMITS.option)).min(POLL_LIMITS.minOptions).max(POLL_LIMITS.maxOptions)
+  }),
+  'poll:skip': noPayload, // Vote to skip the current video
+  'poll:vote': z.object({ pollId: id, optionIndex: z.number().int().nonnegative() }),
+  'poll:close': z.object({ pollId: id }), // Creator, host or moderator
+  'presence:status': z.object({ status: presenceStatus }),
+  'room:update-settings': roomSettings.partial(),
+  'role:set': z.object({ participantId: id, role }),
+  'role:transfer-host': z.object({ participantId: id })
+};
+
+/**
+ * Server → client
+ */
+export const SERVER_EVENTS = {
+  'session:state': sessionSnapshot,
+  'session:error': z.object({
+    event: z.string(),
+    message: z.string(),
+    actionId: z.string().nullish() // Set when the rejected event was one of our actions
+  }),
+  'user-count': z.number().int().nonnegative(),
+  'chat:history': z.array(chatMessage),
+  'chat:message': chatMessage,
+  reaction,
+  'comments:list': z.object({ videoId: id, comments: z.array(comment) }), // One video's comments, by time
+  'ready:state': readyCheck,
+  'poll:list': z.array(poll), // Open polls, then the most recently closed
+  'presence:list': z.array(participant),
+  'room:settings': roomSettings.partial() // Missing settings keep their defaults
+};
+
+/**
+ * Acknowledgement payloads (server → client), for events sent with an ack
+ */
+export const ACKS = {
+  'protocol:hello': hello,
+  'clock:ping': z.object({
+    clientSentAt: timestamp,
+    serverReceivedAt: timestamp,
+    serverSentAt: timestamp
+  })
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * One line per problem, e.g. "currentTime: Expected number, received nan"
+ */
+const describeIssues = (error) => error.issues
+  .map(({ path, message }) => (path.length ? `${path.join('.')}: ${message}` : message))
+  .join('; ');
+
+/**
+ * Validates a payload against an event's schema
+ *
+ * @param {Object} schemas - CLIENT_EVENTS, SERVER_EVENTS or ACKS
+ * @param {string} event
+ * @param {*} payload
+ * @returns {{data: *} | {error: string}}
+ */
+export const parseEvent = (schemas, event, payload) => {
+  const schema = Object.prototype.hasOwnProperty.call(schemas, event) ? schemas[event] : null;
+  if (!schema) {
+    return { error: `Unknown event: ${event}` };
+  }
+  const result = schema.safeParse(payload);
+  return result.success ? { data: result.data } : { error: describeIssues(result.error) };
+};
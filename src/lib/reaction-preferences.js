@@ -0,0 +1,32 @@
+import { z } from 'zod';
+
+const REACTION_PREFERENCES_KEY = 'watch-party:reactions';
+
+/**
+ * Hiding reactions only affects this viewer: everyone else still sees them
+ */
+export const reactionPreferencesSchema = z.object({
+  hidden: z.boolean()
+});
+
+export const DEFAULT_REACTION_PREFERENCES = { hidden: false };
+
+/**
+ * @returns {{hidden: boolean}} The remembered preferences, or the defaults
+ */
+export const loadReactionPreferences = () => {
+  try {
+    const result = reactionPreferencesSchema.safeParse(JSON.parse(localStorage.getItem(REACTION_PREFERENCES_KEY)));
+    return result.success ? result.data : DEFAULT_REACTION_PREFERENCES;
+  } catch (e) {
+    return DEFAULT_REACTION_PREFERENCES; // Storage disabled or not JSON
+  }
+};
+
+export const saveReactionPreferences = (preferences) => {
+  try {
+    localStorage.setItem(REACTION_PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (e) {
+    // Storage disabled - the toggle just won't be remembered
+  }
+};
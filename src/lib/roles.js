@@ -0,0 +1,35 @@
+/**
+ * Room roles and permissions
+ *
+ * Every room has exactly one host (its first participant, until they hand
+ * it over). The host can promote viewers to moderators and change room
+ * settings. With hostOnlyControl on, only the host and moderators can
+ * change playback, the video or the queue.
+ *
+ * The server enforces the same rules (mock-server/roles.mjs); these are
+ * only used to disable controls the server would reject anyway.
+ */
+
+export const ROLES = {
+  HOST: 'host',
+  MODERATOR: 'moderator',
+  VIEWER: 'viewer'
+};
+
+export const DEFAULT_ROOM_SETTINGS = {
+  hostOnlyControl: false,
+  holdForBuffering: false, // Pause everyone while a viewer buffers (server-side, see mock-server/hold.mjs)
+  skipThreshold: 0.5 // Share of connected viewers a vote to skip needs
+};
+
+export const CONTROL_DENIED_REASON = 'Only the host and moderators can control playback in this room';
+
+/**
+ * @param {string|undefined} role - Our role (undefined until the participant list arrives)
+ * @param {Object} settings - Room settings
+ */
+export const canControlPlayback = (role, settings) => (
+  !settings.hostOnlyControl || role === ROLES.HOST || role === ROLES.MODERATOR
+);
+
+export const canManageRoom = (role) => role === ROLES.HOST;
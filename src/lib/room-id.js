@@ -0,0 +1,47 @@
+/**
+ * Room IDs
+ *
+ * Room IDs appear in URLs (/room/:roomId) and in the socket handshake, so
+ * they're restricted to lowercase letters, digits and dashes.
+ */
+
+const ROOM_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,38}[a-z0-9])$/;
+const ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'; // No look-alikes (l/1, o/0)
+
+const randomChunk = (length) => {
+  let chunk = '';
+  for (let i = 0; i < length; i++) {
+    chunk += ALPHABET[Math.floor(Math.random() * ALPHABET.length)];
+  }
+  return chunk;
+};
+
+/**
+ * Generates a fresh, easy-to-read room ID (e.g. "k3m-9xpt-q2a")
+ */
+export const generateRoomId = () => `${randomChunk(3)}-${randomChunk(4)}-${randomChunk(3)}`;
+
+export const isValidRoomId = (roomId) => ROOM_ID_PATTERN.test(roomId);
+
+/**
+ * Accepts either a room ID or a pasted invite link and returns the room ID
+ *
+ * @param {string} input - "k3m-9xpt-q2a" or "https://host/room/k3m-9xpt-q2a"
+ * @returns {string|null} Room ID, or null if the input isn't valid
+ */
+export const parseRoomInput = (input) => {
+  const text = String(input || '').trim();
+  const fromLink = text.match(/\/room\/([^/?#]+)/);
+  let roomId;
+  try {
+    roomId = decodeURIComponent(fromLink ? fromLink[1] : text).toLowerCase();
+  } catch (e) {
+    return null; // Malformed %-escape
+  }
+  return isValidRoomId(roomId) ? roomId : null;
+};
+
+/**
+ * Absolute invite link for a room
+ */
+export const getInviteLink = (roomId) => `${window.location.origin}/room/${encodeURIComponent(roomId)}`;
@@ -0,0 +1,89 @@
+import { ACKS, CLIENT_EVENTS, SERVER_EVENTS, parseEvent } from '@/lib/protocol.mjs';
+import { logError } from '@/lib/logger';
+
+// Socket.io's own lifecycle events, which carry no protocol payload
+const LIFECYCLE_EVENTS = new Set(['connect', 'disconnect', 'connect_error']);
+
+/**
+ * Wraps a Socket.io client in the transport interface the sync engine uses
+ *
+ * Transport interface:
+ *   - emit(event, payload)                  Fire-and-forget send
+ *   - request(event, payload, timeoutMs)    Send and resolve with the server's ack
+ *   - on(event, handler) → unsubscribe      Also receives 'connect' / 'disconnect'
+ *   - isConnected()
+ *
+ * Keeping Socket.io behind this interface lets the engine run against an
+ * in-memory transport in tests.
+ *
+ * Every payload is checked against lib/protocol.mjs in both directions.
+ * Invalid outgoing events aren't sent and invalid incoming ones never reach
+ * their handlers; both are logged. Events the protocol doesn't define throw,
+ * since that's always a bug on our side.
+ */
+export const createSocketTransport = (socket) => {
+  const assertDefined = (schemas, event) => {
+    if (!Object.prototype.hasOwnProperty.call(schemas, event)) {
+      throw new Error(`Unknown protocol event: ${event}`);
+    }
+  };
+
+  const send = (event, payload) => {
+    assertDefined(CLIENT_EVENTS, event);
+    const { data, error } = parseEvent(CLIENT_EVENTS, event, payload);
+    if (error) {
+      logError(`Not sending invalid ${event}:`, error, payload);
+      return null;
+    }
+    return { data };
+  };
+
+  return {
+    emit: (event, payload) => {
+      const outgoing = send(event, payload);
+      if (outgoing) {
+        socket.emit(event, outgoing.data);
+      }
+    },
+
+    request: (event, payload, timeoutMs) => new Promise((resolve, reject) => {
+      const outgoing = send(event, payload);
+      if (!outgoing) {
+        reject(new Error(`Invalid ${event} payload`));
+        return;
+      }
+      socket.timeout(timeoutMs).emit(event, outgoing.data, (err, response) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const { data, error } = parseEvent(ACKS, event, response);
+        if (error) {
+          logError(`Rejected invalid ${event} response:`, error, response);
+          reject(new Error(`Invalid ${event} response`));
+        } else {
+          resolve(data);
+        }
+      });
+    }),
+
+    on: (event, handler) => {
+      let listener = handler;
+      if (!LIFECYCLE_EVENTS.has(event)) {
+        assertDefined(SERVER_EVENTS, event);
+        listener = (payload) => {
+          const { data, error } = parseEvent(SERVER_EVENTS, event, payload);
+          if (error) {
+            logError(`Rejected invalid ${event}:`, error, payload);
+            return;
+          }
+          handler(data);
+        };
+      }
+      socket.on(event, listener);
+      return () => socket.off(event, listener);
+    },
+
+    isConnected: () => socket.connected
+  };
+};
@@ -0,0 +1,728 @@
+import { createClockSync } from '@/lib/clock-sync';
+import { createDriftCorrector } from '@/lib/drift-correction';
+import { log } from '@/lib/logger';
+
+/**
+ * Watch-party sync engine
+ *
+ * Framework-independent core of the watch party: it consumes session:state
+ * snapshots from the transport, decides whether and how to apply them to the
+ * player, and turns local actions into protocol events. The UI only renders
+ * engine state and forwards user input.
+ *
+ * Both collaborators are injected:
+ *
+ *   transport (see lib/socket-transport.js)
+ *     emit(event, payload), request(event, payload, timeoutMs),
+ *     on(event, handler) → unsubscribe, isConnected()
+ *
+ *   player (attached once it's ready, detached before it's destroyed)
+ *     play(), pause(), seekTo(seconds), getCurrentTime(), getDuration(),
+ *     setPlaybackRate(rate), getAvailablePlaybackRates?()
+ *     (see components/players for the YouTube and HTML5 adapters)
+ */
+
+const CLOCK_PING_TIMEOUT = 2000; // ms before a clock:ping round counts as lost
+const PENDING_ACTION_EXPIRY = 5000; // ms before an unacknowledged action is given up on
+const DEFAULT_SOURCE_TYPE = 'youtube'; // Backends that predate sourceType only serve YouTube
+
+/**
+ * Default action ID generator: a random per-engine prefix plus a counter, so
+ * IDs are unique across clients and ordered within one client
+ */
+const createActionIdGenerator = () => {
+  const clientId = Math.random().toString(36).slice(2, 10);
+  let seq = 0;
+  return () => `${clientId}:${++seq}`;
+};
+
+export const INITIAL_STATE = {
+  videoId: '', // YouTube video ID, or media URL for HTML5 sources
+  sourceType: DEFAULT_SOURCE_TYPE, // Which player adapter plays videoId
+  addedBy: null, // Who loaded or queued the current video (display name)
+  isPlaying: false,
+  playbackRate: 1, // Room-wide speed (set-rate)
+  isBuffering: false,
+  playerReady: false,
+  needsUserInteraction: false, // Shows "Click to Sync" banner
+  queue: [], // Up-next items: { id, videoId, sourceType, url, addedAt, addedBy }
+  holdingFor: [] // Client IDs the group is paused for while they buffer
+};
+
+/**
+ * Computes the actual playback time accounting for network delay
+ *
+ * Server sends:
+ *   - playbackTimeAtLastEvent: Time when event occurred (e.g., 10.0s)
+ *   - lastEventAt: Server timestamp when event occurred (e.g., T0)
+ *   - serverTime: Current server time when snapshot created (e.g., T0 + 200ms)
+ *
+ * If playing, we add elapsed time (scaled by the room's playback rate) to
+ * get the current position. "Now" is the
+ * server clock at the moment the snapshot is applied, estimated from our
+ * local clock plus the clock-sync offset. That covers the time the packet
+ * spent in flight and any time it sat queued waiting for the player:
+ *   targetTime = 10.0 + ((serverNow - T0) / 1000) * playbackRate
+ *
+ * @param {Object} snapshot - session:state payload
+ * @param {number|null} serverNow - Estimated server clock, or null before the
+ *   first clock-sync round (falls back to serverTime, which ignores flight
+ *   time but is never wrong by more than one-way latency)
+ */
+export const computeTargetTime = (snapshot, serverNow = null) => {
+  if (!snapshot.isPlaying) {
+    return snapshot.playbackTimeAtLastEvent; // Paused = time is frozen
+  }
+
+  // Calculate elapsed time since last state change
+  const elapsedMs = (serverNow ?? snapshot.serverTime) - snapshot.lastEventAt;
+  return snapshot.playbackTimeAtLastEvent + (elapsedMs / 1000) * (snapshot.playbackRate ?? 1);
+};
+
+/**
+ * Creates a sync engine
+ *
+ * @param {Object} options
+ * @param {Object} options.transport - See interface above
+ * @param {string} [options.clientId] - Our ID in the room (to recognise holds for us)
+ * @param {() => number} [options.now] - Local clock in ms (injectable for tests)
+ * @param {() => string} [options.createActionId] - Action ID generator (injectable for tests)
+ * @param {Object} [options.clockSync] - Overrides for clock-sync tunables
+ * @param {Object} [options.driftCorrection] - Overrides for drift-correction tunables
+ */
+export const createSyncEngine = ({
+  transport,
+  clientId = null,
+  now = Date.now,
+  createActionId = createActionIdGenerator(),
+  clockSync: clockOptions,
+  driftCorrection: driftOptions
+}) => {
+  let state = INITIAL_STATE;
+  const listeners = new Set();
+
+  let player = null;
+  let playerRate = 1; // Base rate the current player is set to (new players start at 1x)
+  let unsubscribers = [];
+
+  // Synchronization State
+  let latestSessionState = null; // Stores session state when player not ready
+  let currentSnapshot = null; // Newest snapshot accepted, for rolling back rejected actions
+  let lastVersion = 0; // Tracks version to ignore stale updates
+  let epoch = null; // Server session identity; versions restart when it changes
+  let isAwaitingFreshState = false; // Explicitly requested state may repeat lastVersion
+
+  // Echo Suppression
+  const pendingActions = new Map(); // actionId → expiry timer, in emit order
+  let isRequestingSync = false; // Marks manual sync request from "Click to Sync"
+  let hasInteracted = false; // Tracks if user clicked anything (for autoplay policy)
+  let canControl = true; // Our role may control playback (see setCanControl)
+  const timers = new Set();
+
+  const clockSync = createClockSync({
+    ping: (clientSentAt) => transport.request('clock:ping', { clientSentAt }, CLOCK_PING_TIMEOUT),
+    now,
+    ...clockOptions
+  });
+  const driftCorrector = createDriftCorrector(() => player, driftOptions);
+
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const later = (fn, ms) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+    return timer;
+  };
+
+  // ============================================================================
+  // ECHO SUPPRESSION
+  // ============================================================================
+
+  /**
+   * Every local action carries a client-generated actionId, and the server
+   * stamps each session:state with the actionId that produced it. While any
+   * of our actions is still unacknowledged, snapshots describe a state older
+   * than what we've already applied locally, so we don't apply them.
+   *
+   * Rejected actions are handled by handleRejection; the expiry is only a
+   * safety net for actions the server drops without a word.
+   */
+  const emitAction = (event, payload) => {
+    const actionId = createActionId();
+    const timer = later(() => {
+      if (pendingActions.delete(actionId)) {
+        log(`Action ${actionId} was never acknowledged`);
+      }
+    }, PENDING_ACTION_EXPIRY);
+    pendingActions.set(actionId, timer);
+    transport.emit(event, { ...payload, actionId });
+  };
+
+  const clearPendingActions = () => {
+    pendingActions.forEach((timer) => {
+      clearTimeout(timer);
+      timers.delete(timer);
+    });
+    pendingActions.clear();
+  };
+
+  /**
+   * Acknowledges our action (and any older ones - the server handles each
+   * client's events in order) if the snapshot carries one of our action IDs
+   *
+   * @returns {boolean} true if the snapshot is the echo of our own action
+   */
+  const acknowledge = (actionId) => {
+    if (!actionId || !pendingActions.has(actionId)) {
+      return false;
+    }
+
+    for (const [id, timer] of pendingActions) {
+      clearTimeout(timer);
+      timers.delete(timer);
+      pendingActions.delete(id);
+      if (id === actionId) break;
+    }
+    return true;
+  };
+
+  /**
+   * The server rejected one of our actions (e.g. we lost control permission
+   * while it was in flight). It's never coming back as an echo, so stop
+   * waiting for it and undo what we applied locally by re-applying the
+   * shared state.
+   */
+  const handleRejection = ({ actionId } = {}) => {
+    if (!acknowledge(actionId)) return;
+
+    log(`Action ${actionId} was rejected, restoring session state`);
+    if (player && currentSnapshot && pendingActions.size === 0) {
+      applySnapshot(currentSnapshot);
+    }
+  };
+
+  // ============================================================================
+  // SNAPSHOT HANDLING
+  // ============================================================================
+
+  const serverNow = () => (clockSync.isSynced() ? clockSync.serverNow() : null);
+  const getServerTime = () => serverNow() ?? now(); // Our local clock until clock sync has a sample
+
+  /**
+   * Sets the room's playback rate on the player. Drift nudges are relative
+   * to it, so the corrector has to know before it corrects anything.
+   */
+  const applyRate = (rate) => {
+    if (rate !== playerRate) {
+      playerRate = rate;
+      driftCorrector.setBaseRate(rate);
+      player.setPlaybackRate(rate);
+    }
+    setState({ playbackRate: rate });
+  };
+
+  /**
+   * Applies a session snapshot to the player with drift correction
+   *
+   * Drift correction avoids the stutter of constant seeking:
+   *   - If drift < 50ms: Ignore (imperceptible to user)
+   *   - If drift < 1s: Play slightly faster/slower until caught up
+   *   - Otherwise: Seek to correct position
+   *
+   * See lib/drift-correction.js for the tunables
+   */
+  const applySnapshot = (snapshot) => {
+    // If player not ready yet, store for later
+    if (!player) {
+      log('Player not ready, storing snapshot for later');
+      latestSessionState = snapshot;
+      return;
+    }
+
+    applyRate(snapshot.playbackRate ?? 1);
+
+    // Calculate target time accounting for network delay
+    const targetTime = computeTargetTime(snapshot, serverNow());
+    const correction = driftCorrector.correct(targetTime, { playing: snapshot.isPlaying });
+    if (correction.action === 'seek') {
+      log(`Drift ${correction.drift.toFixed(2)}s detected, seeking to ${targetTime.toFixed(2)}s`);
+    } else if (correction.action === 'nudge') {
+      log(`Drift ${correction.drift.toFixed(2)}s detected, playing at ${correction.rate}x for ${Math.round(correction.duration)}ms`);
+    }
+
+    // Apply play/pause state
+    if (snapshot.isPlaying) {
+      player.play();
+    } else {
+      player.pause();
+    }
+    setState({ isPlaying: !!snapshot.isPlaying });
+  };
+
+  /**
+   * Handles one session:state snapshot
+   *
+   * Key Features:
+   *   1. Version Control: Ignores out-of-order/stale updates
+   *   2. Drift Compensation: Calculates current time accounting for network delay
+   *   3. Autoplay Policy: Shows "Click to Sync" banner when needed
+   *   4. Echo Prevention: Matches snapshot.actionId against our pending actions
+   */
+  const handleSnapshot = (snapshot) => {
+    log('Received session:state:', {
+      version: snapshot.version,
+      videoId: snapshot.videoId,
+      isPlaying: snapshot.isPlaying,
+      targetTime: snapshot.playbackTimeAtLastEvent ? computeTargetTime(snapshot, serverNow()).toFixed(2) : 'N/A'
+    });
+
+    // ========== EPOCH ==========
+    // A restarted server counts versions from 0 again, which would make all
+    // of its snapshots look stale. Our pending actions went to the old
+    // session, so they'll never be acknowledged either.
+    if (snapshot.epoch && snapshot.epoch !== epoch) {
+      if (epoch !== null) {
+        log(`Server session changed (${epoch} → ${snapshot.epoch}), resetting version tracking`);
+        lastVersion = 0;
+        clearPendingActions();
+      }
+      epoch = snapshot.epoch;
+    }
+
+    // ========== VERSION CONTROL ==========
+    // Ignore stale/out-of-order snapshots (network can reorder packets).
+    // A snapshot we asked for may repeat the current version; take it anyway.
+    const isStale = isAwaitingFreshState
+      ? snapshot.version < lastVersion
+      : snapshot.version <= lastVersion;
+    if (isStale) {
+      log(`Ignoring stale snapshot v${snapshot.version} (current: v${lastVersion})`);
+      return;
+    }
+    lastVersion = snapshot.version;
+    currentSnapshot = snapshot;
+    isAwaitingFreshState = false;
+
+    // ========== QUEUE / HOLD / ADDED BY ==========
+    // None of these touch the player directly, so they're taken from every
+    // fresh snapshot - including echoes and snapshots we don't apply
+    const holdingFor = snapshot.holdingFor || [];
+    setState({ queue: snapshot.queue || [], holdingFor, addedBy: snapshot.addedBy ?? null });
+
+    // ========== ECHO SUPPRESSION ==========
+    const isOwnEcho = acknowledge(snapshot.actionId);
+
+    // ========== VIDEO CHANGE HANDLING ==========
+    const sourceType = snapshot.sourceType || DEFAULT_SOURCE_TYPE;
+    if (!snapshot.videoId && state.videoId) {
+      log('Session has no video');
+      setState({ videoId: '', isPlaying: false, needsUserInteraction: false }); // Tears the player down
+      latestSessionState = null;
+      return;
+    }
+    if (snapshot.videoId && (snapshot.videoId !== state.videoId || sourceType !== state.sourceType)) {
+      log('Video changed to:', sourceType, snapshot.videoId);
+      setState({ videoId: snapshot.videoId, sourceType }); // Triggers player initialization
+
+      // If video already playing for others, show sync banner
+      if (snapshot.isPlaying && !hasInteracted) {
+        setState({ needsUserInteraction: true });
+      }
+    }
+
+    // ========== PLAYER READY CHECK ==========
+    // If player not initialized yet, store snapshot for later
+    if (!player) {
+      log('Player not ready, storing snapshot');
+      latestSessionState = snapshot;
+      return;
+    }
+
+    // ========== APPLY SNAPSHOT LOGIC ==========
+
+    // Case 1: User clicked "Click to Sync" button
+    if (isRequestingSync) {
+      log('Applying explicitly requested sync');
+      applySnapshot(snapshot);
+      isRequestingSync = false;
+    }
+
+    // Case 2: Video playing but user hasn't interacted (browser autoplay policy)
+    else if (snapshot.isPlaying && !hasInteracted) {
+      log('Video playing, waiting for user interaction');
+      setState({ needsUserInteraction: true }); // Show "Click to Sync" banner
+      latestSessionState = snapshot;
+    }
+
+    // Case 3: The group is paused waiting for us to finish buffering -
+    // keep buffering; the hold ends when we report buffering:end
+    else if (clientId && holdingFor.includes(clientId)) {
+      log('Group is waiting for us to buffer');
+    }
+
+    // Case 4: Normal sync (most common case)
+    else if (!isOwnEcho && pendingActions.size === 0) {
+      log('Applying snapshot with drift correction');
+      applySnapshot(snapshot);
+    }
+
+    // Case 5: Our own echo, or a snapshot older than our pending actions
+    else {
+      log('Snapshot not applied, conditions:', {
+        actionId: snapshot.actionId,
+        isOwnEcho,
+        pendingActions: pendingActions.size
+      });
+    }
+  };
+
+  /**
+   * Asks the server for its current state, accepting it even if the
+   * version hasn't moved on
+   */
+  const requestFreshState = () => {
+    if (!transport.isConnected()) return;
+    isAwaitingFreshState = true;
+    transport.emit('request-session-state');
+  };
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  /**
+   * (Re)connected: anything we sent before the drop was either handled (and
+   * is reflected in the fresh state) or lost, so stop waiting on it and
+   * resync from scratch. The clock gets a fresh estimate too, since this
+   * may be a new server process.
+   */
+  const handleConnect = () => {
+    clearPendingActions();
+    clockSync.start();
+    requestFreshState();
+  };
+
+  /**
+   * Subscribes to the transport. Returns the engine for chaining.
+   */
+  const start = () => {
+    unsubscribers = [
+      transport.on('connect', handleConnect),
+      transport.on('disconnect', () => clockSync.stop()),
+      transport.on('session:state', handleSnapshot),
+      transport.on('session:error', handleRejection)
+    ];
+    if (transport.isConnected()) {
+      handleConnect();
+    }
+    return engine;
+  };
+
+  const destroy = () => {
+    unsubscribers.forEach((off) => off());
+    unsubscribers = [];
+    clockSync.stop();
+    driftCorrector.cancel();
+    clearPendingActions();
+    timers.forEach(clearTimeout);
+    timers.clear();
+    listeners.clear();
+    player = null;
+  };
+
+  /**
+   * Hands the engine a ready player and applies any queued session state
+   */
+  const attachPlayer = (readyPlayer) => {
+    player = readyPlayer;
+    playerRate = 1;
+    driftCorrector.setBaseRate(1);
+    setState({ playerReady: true });
+
+    if (latestSessionState) {
+      log('Applying queued session state');
+      const snapshot = latestSessionState;
+      latestSessionState = null;
+      applySnapshot(snapshot);
+    }
+  };
+
+  /**
+   * Call before destroying the player (e.g. when the video changes)
+   */
+  const detachPlayer = () => {
+    driftCorrector.cancel();
+    setBuffering(false);
+    player = null;
+    setState({ playerReady: false });
+  };
+
+  /**
+   * Reports buffering start/end to the session, so the room can hold the
+   * group for us (see README "Buffering")
+   */
+  const setBuffering = (isBuffering) => {
+    if (isBuffering === state.isBuffering) return;
+
+    setState({ isBuffering });
+    if (transport.isConnected()) {
+      transport.emit(isBuffering ? 'buffering:start' : 'buffering:end', {
+        currentTime: player ? player.getCurrentTime() : undefined
+      });
+    }
+  };
+
+  /**
+   * Player state reports, used for UI updates and buffering reports
+   * @param {'playing'|'paused'|'buffering'|'ended'} playerState
+   */
+  const notifyPlayerState = (playerState) => {
+    if (playerState === 'buffering') {
+      setBuffering(true);
+      return;
+    }
+
+    setBuffering(false);
+    if (playerState === 'playing') {
+      setState({ isPlaying: true });
+    } else if (playerState === 'paused') {
+      setState({ isPlaying: false });
+    } else if (playerState === 'ended') {
+      setState({ isPlaying: false });
+      advanceQueue();
+    }
+  };
+
+  // ============================================================================
+  // LOCAL ACTIONS
+  // ============================================================================
+
+  const canAct = () => !!player && transport.isConnected();
+
+  /**
+   * Flow:
+   *   1. Play locally (instant feedback)
+   *   2. Emit to server with a fresh actionId (prevents echo)
+   *   3. Server broadcasts to everyone, stamped with our actionId
+   */
+  const play = () => {
+    if (!canAct()) return false;
+
+    hasInteracted = true; // Required for autoplay policy
+
+    const currentTime = player.getCurrentTime();
+    player.play(); // Apply locally first
+    emitAction('play', { currentTime });
+    setState({ isPlaying: true, needsUserInteraction: false });
+    return true;
+  };
+
+  /**
+   * Same pattern as play: apply locally → emit → broadcast
+   */
+  const pause = () => {
+    if (!canAct()) return false;
+
+    driftCorrector.cancel();
+    const currentTime = player.getCurrentTime();
+    player.pause();
+    emitAction('pause', { currentTime });
+    setState({ isPlaying: false });
+    return true;
+  };
+
+  /**
+   * @param {number} seconds - Position to seek everyone to
+   */
+  const seekTo = (seconds) => {
+    if (!canAct()) return false;
+
+    driftCorrector.cancel();
+    const currentTime = Math.max(0, seconds);
+    player.seekTo(currentTime);
+    emitAction('seek', { currentTime });
+    return true;
+  };
+
+  /**
+   * @param {number} seconds - Seconds to seek (positive = forward, negative = backward)
+   */
+  const seekBy = (seconds) => canAct() && seekTo(player.getCurrentTime() + seconds);
+
+  /**
+   * Changes the playback speed for everyone, re-anchored at our position
+   * @param {number} rate - One of PLAYBACK_RATES (lib/protocol.mjs)
+   */
+  const setPlaybackRate = (rate) => {
+    if (!canAct()) return false;
+
+    driftCorrector.cancel();
+    const currentTime = player.getCurrentTime();
+    applyRate(rate);
+    emitAction('set-rate', { rate, currentTime });
+    return true;
+  };
+
+  /**
+   * Asks the server to switch everyone to a new video (ID extracted server-side)
+   * @param {string} url - Video URL (see parseVideoUrl in components/players)
+   * @param {string} sourceType - Player adapter that should play it
+   * @param {number} [startAt=0] - Where the new video starts (s)
+   * @returns {boolean} false if not connected
+   */
+  const changeVideo = (url, sourceType = DEFAULT_SOURCE_TYPE, startAt = 0) => {
+    if (!transport.isConnected()) return false;
+
+    emitAction('change-video', {
+      url,
+      sourceType,
+      currentTime: startAt,
+      isPlaying: state.isPlaying
+    });
+    return true;
+  };
+
+  /**
+   * "Click to Sync": requests latest session state and applies it
+   * (doesn't broadcast own state)
+   */
+  const syncToSession = () => {
+    hasInteracted = true;
+    setState({ needsUserInteraction: false });
+    isRequestingSync = true;
+
+    // Request fresh state from server
+    requestFreshState();
+
+    // If we have cached state and player is ready, apply immediately
+    if (latestSessionState && player) {
+      log('Applying cached session state');
+      const snapshot = latestSessionState;
+      latestSessionState = null;
+      applySnapshot(snapshot);
+      isRequestingSync = false;
+    }
+  };
+
+  /**
+   * Records a user gesture that didn't go through play() or "Click to Sync"
+   * (e.g. clicking Ready), so the player may start without the banner
+   */
+  const markInteracted = () => {
+    hasInteracted = true;
+  };
+
+  /**
+   * Starts our player at `startsAt` on the server clock (ready check
+   * countdown). The server starts the session at the same moment; starting
+   * locally too means everyone begins together rather than whenever that
+   * snapshot arrives, and the snapshot only has to correct jitter.
+   *
+   * Nothing is broadcast. Players nobody has interacted with (see
+   * markInteracted) are left alone: the server's snapshot brings up the
+   * "Click to Sync" banner as usual.
+   *
+   * @param {number} startsAt - Server time (ms)
+   * @returns {() => void} Cancels the start if it hasn't happened yet
+   */
+  const playAt = (startsAt) => {
+    const videoId = state.videoId;
+    const timer = later(() => {
+      if (!player || !hasInteracted || state.videoId !== videoId || state.isPlaying) return;
+      log('Starting playback at the countdown');
+      player.play();
+      setState({ isPlaying: true });
+    }, Math.max(0, startsAt - getServerTime()));
+
+    return () => {
+      clearTimeout(timer);
+      timers.delete(timer);
+    };
+  };
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  /**
+   * Queue events don't change playback, so they skip pending-action tracking:
+   * holding back snapshots until they're acknowledged would only delay
+   * everyone else's play/pause/seek.
+   */
+  const emitQueueEvent = (event, payload) => {
+    if (!transport.isConnected()) return false;
+    transport.emit(event, payload);
+    return true;
+  };
+
+  /**
+   * @param {number} [startAt=0] - Where the item starts playing (s), from the link's t= / start=
+   */
+  const addToQueue = (url, sourceType = DEFAULT_SOURCE_TYPE, startAt = 0) => (
+    emitQueueEvent('queue:add', { url, sourceType, startAt })
+  );
+  const removeFromQueue = (itemId) => emitQueueEvent('queue:remove', { itemId });
+  const moveQueueItem = (itemId, toIndex) => emitQueueEvent('queue:move', { itemId, toIndex });
+
+  /**
+   * Starts the next queued video. Every client that may control playback
+   * reports the end of the video, so the server only advances if
+   * `fromVideoId` is still the current video.
+   */
+  const advanceQueue = () => {
+    if (!canControl || !state.queue.length || !state.videoId) return false;
+    return emitQueueEvent('queue:advance', { fromVideoId: state.videoId });
+  };
+
+  const engine = {
+    start,
+    destroy,
+    attachPlayer,
+    detachPlayer,
+    notifyPlayerState,
+    play,
+    pause,
+    seekTo,
+    seekBy,
+    setPlaybackRate,
+    changeVideo,
+    syncToSession,
+    markInteracted,
+    playAt,
+    addToQueue,
+    removeFromQueue,
+    moveQueueItem,
+    advanceQueue,
+    /**
+     * Whether our role may control playback (lib/roles.js). The server
+     * rejects queue:advance from everyone else, so viewers in host-only rooms
+     * leave reporting the end of a video to the host and moderators.
+     */
+    setCanControl: (allowed) => {
+      canControl = allowed;
+    },
+    getState: () => state,
+    /** Estimated server clock in ms (our local clock until clock sync has a sample) */
+    getServerTime,
+    /** Local player position for progress UIs (polled; not part of state) */
+    getPlaybackPosition: () => (player
+      ? { currentTime: player.getCurrentTime(), duration: player.getDuration() }
+      : null),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+
+  return engine;
+};
@@ -0,0 +1,296 @@
+import { createSyncEngine } from './sync-engine';
+
+const NOW = 100000; // Local clock; no clock-sync sample, so snapshots' serverTime is used
+
+/**
+ * Transport that records what the engine sends and lets tests deliver events
+ */
+const createFakeTransport = () => {
+  const handlers = new Map();
+  const transport = {
+    emitted: [],
+    emit: (event, payload) => transport.emitted.push({ event, payload }),
+    request: () => new Promise(() => {}), // Clock pings never answer
+    on: (event, handler) => {
+      handlers.set(event, [...(handlers.get(event) || []), handler]);
+      return () => handlers.set(event, handlers.get(event).filter((h) => h !== handler));
+    },
+    isConnected: () => true,
+    deliver: (event, payload) => (handlers.get(event) || []).forEach((handler) => handler(payload)),
+    sent: (event) => transport.emitted.filter((emitted) => emitted.event === event)
+  };
+  return transport;
+};
+
+/**
+ * Player adapter stand-in, parked at `position`
+ */
+const createFakePlayer = (position = 0) => ({
+  play: jest.fn(),
+  pause: jest.fn(),
+  seekTo: jest.fn(),
+  getCurrentTime: jest.fn(() => position),
+  getDuration: jest.fn(() => 300),
+  setPlaybackRate: jest.fn()
+});
+
+const snapshot = (overrides = {}) => ({
+  epoch: 'e1',
+  version: 1,
+  videoId: 'dQw4w9WgXcQ',
+  sourceType: 'youtube',
+  isPlaying: false,
+  playbackTimeAtLastEvent: 42,
+  playbackRate: 1,
+  lastEventAt: NOW,
+  serverTime: NOW,
+  queue: [],
+  holdingFor: [],
+  actionId: null,
+  ...overrides
+});
+
+describe('createSyncEngine', () => {
+  let transport;
+  let engine;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    transport = createFakeTransport();
+    let seq = 0;
+    engine = createSyncEngine({
+      transport,
+      clientId: 'me',
+      now: () => NOW,
+      createActionId: () => `me:${++seq}`
+    }).start();
+  });
+
+  afterEach(() => {
+    engine.destroy();
+    jest.useRealTimers();
+  });
+
+  it('asks for the session state on start', () => {
+    expect(transport.sent('request-session-state')).toHaveLength(1);
+  });
+
+  describe('player not ready', () => {
+    it('loads the video and applies the snapshot once the player is attached', () => {
+      transport.deliver('session:state', snapshot());
+      expect(engine.getState().videoId).toBe('dQw4w9WgXcQ');
+      expect(engine.getState().playerReady).toBe(false);
+
+      const player = createFakePlayer();
+      engine.attachPlayer(player);
+
+      expect(engine.getState().playerReady).toBe(true);
+      expect(player.seekTo).toHaveBeenCalledWith(42);
+      expect(player.pause).toHaveBeenCalled();
+      expect(player.play).not.toHaveBeenCalled();
+    });
+
+    it('only keeps the newest snapshot', () => {
+      transport.deliver('session:state', snapshot({ version: 1, playbackTimeAtLastEvent: 10 }));
+      transport.deliver('session:state', snapshot({ version: 2, playbackTimeAtLastEvent: 20 }));
+
+      const player = createFakePlayer();
+      engine.attachPlayer(player);
+      expect(player.seekTo).toHaveBeenCalledTimes(1);
+      expect(player.seekTo).toHaveBeenCalledWith(20);
+    });
+  });
+
+  describe('autoplay policy', () => {
+    it("shows the Click to Sync banner instead of playing before we've interacted", () => {
+      const player = createFakePlayer();
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+      player.seekTo.mockClear();
+
+      transport.deliver('session:state', snapshot({ version: 2, isPlaying: true }));
+
+      expect(engine.getState().needsUserInteraction).toBe(true);
+      expect(player.play).not.toHaveBeenCalled();
+      expect(player.seekTo).not.toHaveBeenCalled();
+    });
+
+    it('shows the banner when we join a video that is already playing', () => {
+      transport.deliver('session:state', snapshot({ isPlaying: true }));
+      expect(engine.getState().needsUserInteraction).toBe(true);
+    });
+  });
+
+  describe('Click to Sync', () => {
+    it('applies the held-back snapshot and asks for a fresh one', () => {
+      const player = createFakePlayer();
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+      transport.deliver('session:state', snapshot({ version: 2, isPlaying: true, playbackTimeAtLastEvent: 50 }));
+      transport.emitted = [];
+
+      engine.syncToSession();
+
+      expect(engine.getState().needsUserInteraction).toBe(false);
+      expect(player.seekTo).toHaveBeenLastCalledWith(50);
+      expect(player.play).toHaveBeenCalled();
+      expect(transport.sent('request-session-state')).toHaveLength(1);
+      // Syncing is local: nothing is broadcast
+      expect(transport.sent('play')).toHaveLength(0);
+    });
+
+    it('accepts the requested snapshot even if its version has not moved on', () => {
+      const player = createFakePlayer();
+      transport.deliver('session:state', snapshot({ version: 3 }));
+      engine.attachPlayer(player);
+      engine.syncToSession();
+      player.seekTo.mockClear();
+
+      transport.deliver('session:state', snapshot({ version: 3, playbackTimeAtLastEvent: 60 }));
+      expect(player.seekTo).toHaveBeenCalledWith(60);
+    });
+  });
+
+  describe('normal sync', () => {
+    let player;
+
+    beforeEach(() => {
+      player = createFakePlayer(42);
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+      engine.play(); // Counts as interacting, and leaves me:1 pending
+      transport.deliver('session:state', snapshot({ version: 2, isPlaying: true, actionId: 'me:1' }));
+      player.play.mockClear();
+      player.pause.mockClear();
+      player.seekTo.mockClear();
+    });
+
+    it('applies a newer snapshot from someone else', () => {
+      transport.deliver('session:state', snapshot({ version: 3, playbackTimeAtLastEvent: 90 }));
+      expect(player.seekTo).toHaveBeenCalledWith(90);
+      expect(player.pause).toHaveBeenCalled();
+      expect(engine.getState().isPlaying).toBe(false);
+    });
+
+    it('ignores stale and out-of-order snapshots', () => {
+      transport.deliver('session:state', snapshot({ version: 2, playbackTimeAtLastEvent: 90 }));
+      transport.deliver('session:state', snapshot({ version: 1, playbackTimeAtLastEvent: 90 }));
+      expect(player.seekTo).not.toHaveBeenCalled();
+      expect(player.pause).not.toHaveBeenCalled();
+    });
+
+    it("doesn't apply the echo of our own action", () => {
+      engine.pause();
+      expect(transport.sent('pause')[0].payload.actionId).toBe('me:2');
+      player.pause.mockClear();
+
+      transport.deliver('session:state', snapshot({ version: 3, playbackTimeAtLastEvent: 90, actionId: 'me:2' }));
+      expect(player.seekTo).not.toHaveBeenCalled();
+      expect(player.pause).not.toHaveBeenCalled();
+    });
+
+    it('holds back snapshots while our action is unacknowledged', () => {
+      engine.seekTo(100);
+      player.seekTo.mockClear();
+
+      // Someone else's action, handled before ours
+      transport.deliver('session:state', snapshot({ version: 3, playbackTimeAtLastEvent: 90, actionId: 'them:1' }));
+      expect(player.seekTo).not.toHaveBeenCalled();
+
+      // Ours is acknowledged; later snapshots apply again
+      transport.deliver('session:state', snapshot({ version: 4, playbackTimeAtLastEvent: 100, actionId: 'me:2' }));
+      transport.deliver('session:state', snapshot({ version: 5, playbackTimeAtLastEvent: 120, actionId: 'them:2' }));
+      expect(player.seekTo).toHaveBeenCalledWith(120);
+    });
+
+    it('starts counting versions again when the server restarts', () => {
+      transport.deliver('session:state', snapshot({ epoch: 'e2', version: 1, playbackTimeAtLastEvent: 90 }));
+      expect(player.seekTo).toHaveBeenCalledWith(90);
+    });
+  });
+
+  describe('queue', () => {
+    let player;
+
+    beforeEach(() => {
+      player = createFakePlayer(42);
+      transport.deliver('session:state', snapshot({ queue: [{ id: 'q1', videoId: '9bZkp7q19f0', sourceType: 'youtube' }] }));
+      engine.attachPlayer(player);
+    });
+
+    it('reports the end of the video so the queue moves on', () => {
+      engine.notifyPlayerState('ended');
+      expect(transport.sent('queue:advance')).toEqual([
+        { event: 'queue:advance', payload: { fromVideoId: 'dQw4w9WgXcQ' } }
+      ]);
+    });
+
+    it('queues links with their start time', () => {
+      engine.addToQueue('https://www.youtube.com/watch?v=9bZkp7q19f0', 'youtube', 90);
+      expect(transport.sent('queue:add')[0].payload).toEqual({
+        url: 'https://www.youtube.com/watch?v=9bZkp7q19f0',
+        sourceType: 'youtube',
+        startAt: 90
+      });
+    });
+
+    it("leaves that to others when it can't control playback", () => {
+      engine.setCanControl(false);
+      engine.notifyPlayerState('ended');
+      expect(transport.sent('queue:advance')).toHaveLength(0);
+    });
+  });
+
+  describe('playAt', () => {
+    it('starts the player locally at the server time, without broadcasting', () => {
+      const player = createFakePlayer(42);
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+      engine.syncToSession(); // Counts as interacting
+      transport.emitted = [];
+
+      engine.playAt(NOW + 3000);
+      jest.advanceTimersByTime(2999);
+      expect(player.play).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(player.play).toHaveBeenCalledTimes(1);
+      expect(engine.getState().isPlaying).toBe(true);
+      expect(transport.emitted).toEqual([]);
+    });
+
+    it('can be cancelled', () => {
+      const player = createFakePlayer(42);
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+      engine.syncToSession();
+
+      const cancel = engine.playAt(NOW + 3000);
+      cancel();
+      jest.advanceTimersByTime(3000);
+      expect(player.play).not.toHaveBeenCalled();
+    });
+
+    it('starts a viewer who only clicked Ready and never pressed play', () => {
+      const player = createFakePlayer(42);
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+
+      engine.markInteracted(); // What useReadyCheck's confirm() does
+      engine.playAt(NOW + 3000);
+      jest.advanceTimersByTime(3000);
+      expect(player.play).toHaveBeenCalledTimes(1);
+      expect(engine.getState().needsUserInteraction).toBe(false);
+    });
+
+    it("leaves players that haven't been interacted with to Click to Sync", () => {
+      const player = createFakePlayer(42);
+      transport.deliver('session:state', snapshot());
+      engine.attachPlayer(player);
+
+      engine.playAt(NOW + 3000);
+      jest.advanceTimersByTime(3000);
+      expect(player.play).not.toHaveBeenCalled();
+    });
+  });
+});
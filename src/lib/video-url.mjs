@@ -0,0 +1,121 @@
+/**
+ * Video link parsing shared by the client and the mock server
+ *
+ * The client checks pasted links with these before sending anything, and
+ * the server extracts the session's videoId with the same functions, so a
+ * link one side accepts is never rejected by the other. Like protocol.mjs,
+ * this is plain ESM with no '@/' imports so Node can load it as-is.
+ */
+
+export const YOUTUBE_VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+export const MEDIA_EXTENSIONS = /\.(mp4|m4v|webm|ogv|ogg)$/i; // What the HTML5 adapter plays
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+const SHORT_LINK_HOST = 'youtu.be';
+const ID_PATH_PREFIXES = ['embed', 'shorts', 'live', 'v', 'e']; // /<prefix>/<id>
+
+/**
+ * Parses pasted text as an http(s) URL, assuming https:// when there's no scheme
+ * @returns {URL|null} null for anything else, other schemes (ftp://, file://) included
+ */
+export const toUrl = (input) => {
+  const text = String(input ?? '').trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * @param {URL} url
+ * @returns {boolean} true for hosts parseYouTubeUrl understands
+ */
+export const isYouTubeUrl = (url) => {
+  const host = url.hostname.toLowerCase();
+  return host === SHORT_LINK_HOST || YOUTUBE_HOSTS.has(host);
+};
+
+/**
+ * Finds the video ID in a YouTube URL's path or query
+ * @returns {string|null}
+ */
+const findVideoId = (url) => {
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (url.hostname.toLowerCase() === SHORT_LINK_HOST) {
+    return segments[0] || null;
+  }
+  if (segments[0] === 'watch') {
+    return url.searchParams.get('v'); // Also covers playlists: watch?v=ID&list=...&index=N
+  }
+  if (ID_PATH_PREFIXES.includes(segments[0])) {
+    return segments[1] || null;
+  }
+  return null;
+};
+
+/**
+ * Parses a pasted YouTube link (or bare video ID)
+ *
+ * Handles watch, youtu.be, shorts, embed, live, music.youtube.com and
+ * playlist links that point at a video. Errors are written for the user.
+ *
+ * @param {string} input - As pasted
+ * @returns {{videoId: string, start: string|null} | {error: string}}
+ *   `start` is the raw ?t= / ?start= / #t= value ("90", "1m30s", ...), if any
+ */
+export const parseYouTubeUrl = (input) => {
+  const text = String(input ?? '').trim();
+  if (!text) {
+    return { error: 'Paste a YouTube link' };
+  }
+  if (YOUTUBE_VIDEO_ID.test(text)) {
+    return { videoId: text, start: null };
+  }
+
+  const url = toUrl(text);
+  if (!url) {
+    return { error: "That doesn't look like a link" };
+  }
+  if (!isYouTubeUrl(url)) {
+    return { error: 'Not a YouTube link' };
+  }
+
+  const videoId = findVideoId(url);
+  if (!videoId) {
+    return url.searchParams.has('list')
+      ? { error: 'Playlist links need a video: open the one to start with and copy its link' }
+      : { error: "This YouTube link doesn't point to a video" };
+  }
+  if (!YOUTUBE_VIDEO_ID.test(videoId)) {
+    return { error: `"${videoId}" isn't a valid YouTube video ID` };
+  }
+
+  const start = url.searchParams.get('t')
+    ?? url.searchParams.get('start')
+    ?? new URLSearchParams(url.hash.slice(1)).get('t');
+  return { videoId, start };
+};
+
+/**
+ * Normalizes a direct video file URL (http/https, known container extension)
+ *
+ * @param {string} input - URL as pasted
+ * @returns {string|null} Normalized URL, or null if it isn't a direct video link
+ */
+export const parseMediaUrl = (input) => {
+  const url = toUrl(input);
+  if (!url || !MEDIA_EXTENSIONS.test(url.pathname)) {
+    return null;
+  }
+  return url.href;
+};
@@ -0,0 +1,89 @@
+import { isYouTubeUrl, parseMediaUrl, parseYouTubeUrl, toUrl } from './video-url.mjs';
+import { parseTime } from './format-time';
+
+const ID = 'dQw4w9WgXcQ';
+
+describe('parseYouTubeUrl', () => {
+  it.each([
+    ['watch', `https://www.youtube.com/watch?v=${ID}`],
+    ['watch without a scheme', `youtube.com/watch?v=${ID}`],
+    ['mobile', `https://m.youtube.com/watch?v=${ID}`],
+    ['youtu.be', `https://youtu.be/${ID}`],
+    ['shorts', `https://www.youtube.com/shorts/${ID}`],
+    ['embed', `https://www.youtube.com/embed/${ID}`],
+    ['nocookie embed', `https://www.youtube-nocookie.com/embed/${ID}`],
+    ['live', `https://www.youtube.com/live/${ID}`],
+    ['music', `https://music.youtube.com/watch?v=${ID}`],
+    ['playlist pointing at a video', `https://www.youtube.com/watch?v=${ID}&list=PL123&index=4`],
+    ['bare video ID', ID]
+  ])('finds the video ID in a %s link', (form, input) => {
+    expect(parseYouTubeUrl(input)).toEqual({ videoId: ID, start: null });
+  });
+
+  it.each([
+    ['t=', `https://www.youtube.com/watch?v=${ID}&t=90`, '90'],
+    ['t= with units', `https://youtu.be/${ID}?t=1h2m3s`, '1h2m3s'],
+    ['start=', `https://www.youtube.com/embed/${ID}?start=42`, '42'],
+    ['#t=', `https://www.youtube.com/watch?v=${ID}#t=1m30s`, '1m30s']
+  ])('returns the raw start time from %s', (form, input, start) => {
+    expect(parseYouTubeUrl(input)).toEqual({ videoId: ID, start });
+  });
+
+  it.each([
+    ['empty input', '   ', 'Paste a YouTube link'],
+    ['another site', `https://vimeo.com/${ID}`, 'Not a YouTube link'],
+    ['a look-alike host', `https://gaming.youtube.com/watch?v=${ID}`, 'Not a YouTube link'],
+    ['a channel page', 'https://www.youtube.com/@somechannel', "This YouTube link doesn't point to a video"],
+    ['a playlist without a video', 'https://www.youtube.com/playlist?list=PL123', 'Playlist links need a video: open the one to start with and copy its link'],
+    ['a malformed ID', 'https://youtu.be/tooShort', '"tooShort" isn\'t a valid YouTube video ID'],
+    ['text that isn\'t a link', 'not a link at all', "That doesn't look like a link"]
+  ])('rejects %s', (kind, input, error) => {
+    expect(parseYouTubeUrl(input)).toEqual({ error });
+  });
+});
+
+describe('parseTime', () => {
+  it.each([
+    ['90', 90],
+    ['1:30', 90],
+    ['1:02:03', 3723],
+    ['1h2m3s', 3723],
+    ['2m', 120],
+    ['45s', 45]
+  ])('reads %s as %d seconds', (input, seconds) => {
+    expect(parseTime(input)).toBe(seconds);
+  });
+
+  it.each(['', 'soon', '1x30', 'h'])('rejects %j', (input) => {
+    expect(parseTime(input)).toBeNull();
+  });
+});
+
+describe('parseMediaUrl', () => {
+  it('normalizes direct video file links', () => {
+    expect(parseMediaUrl('example.com/clips/intro.MP4')).toBe('https://example.com/clips/intro.MP4');
+    expect(parseMediaUrl('http://example.com/a.webm?token=1')).toBe('http://example.com/a.webm?token=1');
+  });
+
+  it('rejects pages, other files and other schemes', () => {
+    expect(parseMediaUrl('https://example.com/watch')).toBeNull();
+    expect(parseMediaUrl('https://example.com/song.mp3')).toBeNull();
+    expect(parseMediaUrl('ftp://example.com/a.mp4')).toBeNull();
+  });
+});
+
+describe('isYouTubeUrl', () => {
+  it('only accepts the hosts parseYouTubeUrl understands', () => {
+    expect(isYouTubeUrl(toUrl('youtu.be/x'))).toBe(true);
+    expect(isYouTubeUrl(toUrl('WWW.YouTube.com/watch'))).toBe(true);
+    expect(isYouTubeUrl(toUrl('youtube.com.evil.example/watch'))).toBe(false);
+  });
+});
+
+describe('toUrl', () => {
+  it('assumes https:// and turns down other schemes', () => {
+    expect(toUrl('example.com/a.mp4').href).toBe('https://example.com/a.mp4');
+    expect(toUrl(`ftp://youtube.com/watch?v=${ID}`)).toBeNull();
+    expect(parseYouTubeUrl(`ftp://youtube.com/watch?v=${ID}`)).toEqual({ error: "That doesn't look like a link" });
+  });
+});
@@ -0,0 +1,46 @@
+import { z } from 'zod';
+
+const WATCH_HISTORY_KEY_PREFIX = 'watch-party:history:'; // + room ID
+
+export const MAX_HISTORY_ENTRIES = 100; // Per room, oldest dropped first
+
+/**
+ * One play of a video in a room, as this browser saw it
+ */
+export const historyEntrySchema = z.object({
+  id: z.string(),
+  videoId: z.string().min(1),
+  sourceType: z.enum(['youtube', 'html5']),
+  title: z.string().nullable(), // null until the player reports it (never, for files)
+  addedBy: z.string().nullable(),
+  playedAt: z.number(), // Local clock, ms
+  furthest: z.number().nonnegative(), // Furthest position reached (s)
+  duration: z.number().nonnegative().nullable()
+});
+
+const historySchema = z.array(historyEntrySchema);
+
+/**
+ * @param {string} roomId
+ * @returns {Array} Newest first; empty if nothing valid is stored
+ */
+export const loadWatchHistory = (roomId) => {
+  try {
+    const result = historySchema.safeParse(JSON.parse(localStorage.getItem(WATCH_HISTORY_KEY_PREFIX + roomId)));
+    return result.success ? result.data : [];
+  } catch (e) {
+    return []; // Storage disabled or not JSON
+  }
+};
+
+export const saveWatchHistory = (roomId, entries) => {
+  try {
+    if (entries.length) {
+      localStorage.setItem(WATCH_HISTORY_KEY_PREFIX + roomId, JSON.stringify(entries.slice(0, MAX_HISTORY_ENTRIES)));
+    } else {
+      localStorage.removeItem(WATCH_HISTORY_KEY_PREFIX + roomId);
+    }
+  } catch (e) {
+    // Storage disabled or full - history just won't survive a reload
+  }
+};
@@ -70,11 +70,31 @@ module.exports = {
   				to: {
   					height: '0'
   				}
+  			},
+  			'reaction-float': {
+  				'0%': {
+  					top: '85%',
+  					opacity: '0',
+  					transform: 'translateX(-50%) scale(0.6)'
+  				},
+  				'15%': {
+  					opacity: '1',
+  					transform: 'translateX(-50%) scale(1)'
+  				},
+  				'75%': {
+  					opacity: '1'
+  				},
+  				'100%': {
+  					top: '15%',
+  					opacity: '0',
+  					transform: 'translateX(-50%) scale(1)'
+  				}
   			}
   		},
   		animation: {
   			'accordion-down': 'accordion-down 0.2s ease-out',
-  			'accordion-up': 'accordion-up 0.2s ease-out'
+  			'accordion-up': 'accordion-up 0.2s ease-out',
+  			'reaction-float': 'reaction-float 3s ease-out forwards'
   		}
   	}
   },